@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+// --- COMMAND LINE ---
+// Scripted rollouts. The CLI signs in to the running portal (--url / MB_URL)
+// as a portal user and calls the same routes the browser does, so validation,
+// jobs, the audit log and the message index are the portal's own. Against the
+// sandbox it can instead start a throwaway portal in-process. Output is
+// human-readable, or JSON with --json.
+//
+// Exit codes: 0 everything worked, 1 nothing was done (bad input, request
+// failed), 2 partial failure (some stores missing, failed or without tasks).
+
+require("dotenv").config();
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_PARTIAL = 2;
+const JOB_POLL_MS = 1000;
+const DEFAULT_WAIT_SECONDS = 3600;
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  verify --stores <file>               Check which store IDs exist in Staffbase
+  create --title <t> --stores <file>   Create a message and roll its tasks out
+         [--category <c>] [--deadline YYYY-MM-DD] [--tasks <csv>]
+         [--body <markdown file>] [--teaser <t>]
+         [--publish draft|now|schedule] [--at <ISO date>] [--notify] [--dry-run]
+         [--wait <seconds>]   How long to wait for the rollout (default ${DEFAULT_WAIT_SECONDS})
+  list   [--store <id>] [--category <c>] [--status <s>] [--search <text>]
+         [--sort <field>] [--order asc|desc] [--limit <n>] [--offset <n>] [--refresh]
+  delete <channelId>...                Delete messages and their store task lists
+
+Store IDs can also be given with --store (repeatable); "-" reads a file from stdin.
+
+Common options:
+  --url <url> The portal to use (default: MB_URL)
+  --json      Print machine-readable JSON on stdout
+  --verbose   Show the portal's log output (on stderr)
+
+Signs in with MB_USERNAME / MB_PASSWORD, falling back to ADMIN_USERNAME / ADMIN_PASSWORD.
+Without a URL the CLI only runs against the sandbox (STAFFBASE_SANDBOX=true), in-process.`;
+
+const OPTIONS = {
+  stores: { type: "string" },
+  store: { type: "string", multiple: true },
+  title: { type: "string" },
+  category: { type: "string" },
+  deadline: { type: "string" },
+  tasks: { type: "string" },
+  body: { type: "string" },
+  teaser: { type: "string" },
+  publish: { type: "string" },
+  at: { type: "string" },
+  notify: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  wait: { type: "string" },
+  status: { type: "string" },
+  search: { type: "string" },
+  sort: { type: "string" },
+  order: { type: "string" },
+  limit: { type: "string" },
+  offset: { type: "string" },
+  refresh: { type: "boolean" },
+  url: { type: "string" },
+  json: { type: "boolean" },
+  verbose: { type: "boolean" },
+  help: { type: "boolean", short: "h" }
+};
+
+class UsageError extends Error {}
+
+const readInput = (file) => fs.readFileSync(file === "-" ? 0 : file, "utf8");
+
+// Store IDs from --stores (one per line, or separated by commas/whitespace,
+// like the form's paste box) plus any --store flags, de-duplicated.
+function storeIdsFrom(values) {
+  const ids = [...(values.store || [])];
+  if (values.stores) ids.push(...readInput(values.stores).split(/[\s,;]+/));
+  const unique = [...new Set(ids.map(id => id.trim()).filter(Boolean))];
+  if (unique.length === 0) throw new UsageError("No store IDs given (use --stores <file> or --store <id>)");
+  return unique;
+}
+
+// --- PORTAL CONNECTION ---
+// A real portal is always reached over HTTP: running it in-process would give
+// the CLI its own jobs and sessions and a second writer on the portal's data.
+async function startLocalPortal() {
+  if (process.env.STAFFBASE_SANDBOX !== "true") {
+    throw new UsageError("Give the portal's address with --url or MB_URL");
+  }
+  const app = require("./server");
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve, reject) => server.once("listening", resolve).once("error", reject));
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, close: () => server.close() };
+}
+
+async function connect(portalUrl) {
+  const username = process.env.MB_USERNAME || process.env.ADMIN_USERNAME;
+  const password = process.env.MB_PASSWORD || process.env.ADMIN_PASSWORD;
+  if (!username || !password) throw new Error("Set MB_USERNAME and MB_PASSWORD to a portal account");
+
+  const local = portalUrl ? null : await startLocalPortal();
+  const baseUrl = local ? local.baseUrl : portalUrl.replace(/\/+$/, "");
+  let cookie = "";
+
+  async function call(method, url, body) {
+    const isForm = body instanceof FormData;
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { ...(cookie && { Cookie: cookie }), ...(body && !isForm && { "Content-Type": "application/json" }) },
+      body: body && (isForm ? body : JSON.stringify(body))
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+    return data;
+  }
+
+  const portal = { call, close: () => local?.close() };
+  try {
+    await call("POST", "/api/auth/login", { username, password });
+  } catch (err) {
+    portal.close();
+    throw err;
+  }
+  return portal;
+}
+
+async function waitForJob(call, jobId, seconds) {
+  const deadline = Date.now() + seconds * 1000;
+  for (;;) {
+    const job = await call("GET", `/api/jobs/${jobId}`);
+    if (job.status === "completed" || job.status === "failed") return job;
+    if (Date.now() >= deadline) {
+      throw new Error(`Job ${jobId} was still running after ${seconds}s; follow it in the portal`);
+    }
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
+  }
+}
+
+// --- COMMANDS ---
+// Each returns { exitCode, output, lines }: `output` is printed with --json,
+// `lines` otherwise.
+
+async function verify(call, values) {
+  const { foundUsers, notFoundIds } = await call("POST", "/api/verify-users", { storeIds: storeIdsFrom(values) });
+  const output = {
+    found: foundUsers.map(u => ({ storeId: u.csvId, name: u.name, userId: u.id })),
+    notFound: notFoundIds
+  };
+  return {
+    exitCode: foundUsers.length === 0 ? EXIT_FAILED : notFoundIds.length ? EXIT_PARTIAL : EXIT_OK,
+    output,
+    lines: [
+      `${foundUsers.length} store(s) found, ${notFoundIds.length} not found`,
+      ...notFoundIds.map(id => `  not found: ${id}`)
+    ]
+  };
+}
+
+async function create(call, values) {
+  if (!values.title) throw new UsageError("create needs --title");
+  const wait = values.wait === undefined ? DEFAULT_WAIT_SECONDS : Number(values.wait);
+  if (!(wait > 0)) throw new UsageError("--wait must be a number of seconds");
+  const verified = await verify(call, values);
+  if (verified.output.found.length === 0) return verified;
+  const { notFound } = verified.output;
+
+  const form = new FormData();
+  form.append("storeIds", JSON.stringify(verified.output.found.map(s => s.storeId)));
+  form.append("title", values.title);
+  form.append("department", values.category || "");
+  form.append("deadline", values.deadline || "");
+  form.append("body", values.body ? readInput(values.body) : "");
+  form.append("teaser", values.teaser || "");
+  form.append("publishMode", values.publish || "draft");
+  form.append("notify", String(!!values.notify));
+  if (values.at) form.append("scheduledAt", values.at);
+  if (values.tasks) form.append("taskCsv", new Blob([fs.readFileSync(values.tasks)]), "tasks.csv");
+  if (values["dry-run"]) form.append("dryRun", "true");
+
+  const started = await call("POST", "/api/create", form);
+  if (started.dryRun) {
+    const { preview } = started;
+    return {
+      exitCode: notFound.length ? EXIT_PARTIAL : EXIT_OK,
+      output: { dryRun: true, notFound, preview },
+      lines: [
+        `Dry run: channel "${preview.channelName}", ${preview.tasks.length} task(s)`,
+        `  ${preview.storesWithTasks.length} store(s) get tasks, ${preview.storesWithoutTasks.length} without`,
+        ...(preview.taskImport?.errors || []).map(e => `  task CSV line ${e.line}: ${e.message}`),
+        ...notFound.map(id => `  not found: ${id}`)
+      ]
+    };
+  }
+
+  const job = await waitForJob(call, started.jobId, wait);
+  const failed = job.stores.filter(s => s.status === "failed").map(s => ({ storeId: s.storeId, error: s.error }));
+  // Stores that got no tasks although there were some (e.g. no task project)
+  const skipped = job.stores.filter(s => s.status === "skipped" && s.reason !== "No tasks")
+    .map(s => ({ storeId: s.storeId, reason: s.reason }));
+  const output = { jobId: job.id, status: job.status, error: job.error, ...job.result, failed, skipped, notFound };
+  if (job.status === "failed") {
+    return { exitCode: EXIT_FAILED, output, lines: [`Create failed: ${job.error}`] };
+  }
+  const s = job.result.stores;
+  return {
+    exitCode: failed.length || skipped.length || notFound.length ? EXIT_PARTIAL : EXIT_OK,
+    output,
+    lines: [
+      `Created channel ${job.result.channelId} (post ${job.result.postId}), ${job.result.taskCount} task(s)`,
+      `  stores: ${s.done} done, ${s.failed} failed, ${s.skipped} skipped of ${s.total}`,
+      ...failed.map(f => `  failed: ${f.storeId}: ${f.error}`),
+      ...skipped.map(k => `  no tasks: ${k.storeId}: ${k.reason}`),
+      ...notFound.map(id => `  not found: ${id}`)
+    ]
+  };
+}
+
+async function list(call, values) {
+  if (values.refresh) await call("POST", "/api/items/refresh");
+  const query = new URLSearchParams(Object.entries({
+    storeId: values.store?.[0],
+    department: values.category,
+    status: values.status,
+    q: values.search,
+    sort: values.sort,
+    order: values.order,
+    limit: values.limit,
+    offset: values.offset
+  }).filter(([, v]) => v !== undefined));
+  const page = await call("GET", `/api/items?${query}`);
+  return {
+    exitCode: EXIT_OK,
+    output: page,
+    lines: [
+      ...page.items.map(i => [i.channelId, i.status, i.deadline || "-", `${i.userCount} store(s)`, i.title].join("\t")),
+      `${page.offset + page.items.length} of ${page.total} message(s)`
+    ]
+  };
+}
+
+async function remove(call, values, channelIds) {
+  if (channelIds.length === 0) throw new UsageError("delete needs at least one channel ID");
+  const deleted = [];
+  const failed = [];
+  for (const channelId of channelIds) {
+    try {
+      const { taskListsRemoved } = await call("DELETE", `/api/delete/${encodeURIComponent(channelId)}`);
+      deleted.push({ channelId, taskListsRemoved });
+    } catch (err) {
+      failed.push({ channelId, error: err.message });
+    }
+  }
+  return {
+    exitCode: failed.length === 0 ? EXIT_OK : deleted.length ? EXIT_PARTIAL : EXIT_FAILED,
+    output: { deleted, failed },
+    lines: [
+      ...deleted.map(d => `Deleted ${d.channelId} (${d.taskListsRemoved} store task list(s) removed)`),
+      ...failed.map(f => `Could not delete ${f.channelId}: ${f.error}`)
+    ]
+  };
+}
+
+const COMMANDS = { verify, create, list, delete: remove };
+
+async function main(argv) {
+  let values, positionals;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_FAILED;
+  }
+  const [name, ...rest] = positionals;
+  if (values.help || !name) {
+    console.log(USAGE);
+    return values.help ? EXIT_OK : EXIT_FAILED;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n\n${USAGE}`);
+    return EXIT_FAILED;
+  }
+
+  // Keep stdout for results: the portal's own logging goes to stderr, and
+  // only with --verbose
+  const log = console.log;
+  console.log = values.verbose ? console.error : () => {};
+  if (!values.verbose) console.warn = () => {};
+
+  let portal;
+  try {
+    portal = await connect(values.url || process.env.MB_URL);
+    const { exitCode, output, lines } = await command(portal.call, values, rest);
+    log(values.json ? JSON.stringify(output, null, 2) : lines.join("\n"));
+    return exitCode;
+  } catch (err) {
+    if (values.json) log(JSON.stringify({ error: err.message }, null, 2));
+    else console.error(err instanceof UsageError ? `${err.message}\n\n${USAGE}` : `Error: ${err.message}`);
+    return EXIT_FAILED;
+  } finally {
+    if (portal) portal.close();
+  }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- SAVED AUDIENCES ---
+// Named store lists (e.g. "All Northeast", "Pilot stores") persisted in the
+// local store so ops can re-target the same stores without re-pasting IDs.
+
+const COLLECTION = "audiences";
+
+function loadAll() {
+  return store.load(COLLECTION, []);
+}
+
+function normalizeName(name) {
+  const n = typeof name === "string" ? name.trim() : "";
+  if (!n) throw httpError(400, "Audience name is required");
+  return n;
+}
+
+function normalizeStoreIds(storeIds) {
+  if (!Array.isArray(storeIds)) throw httpError(400, "storeIds must be an array");
+  const ids = [...new Set(storeIds.map(id => String(id).trim()).filter(Boolean))];
+  if (ids.length === 0) throw httpError(400, "An audience needs at least one store");
+  return ids;
+}
+
+function assertUniqueName(all, name, exceptId) {
+  if (all.some(a => a.id !== exceptId && a.name.toLowerCase() === name.toLowerCase())) {
+    throw httpError(409, `An audience named "${name}" already exists`);
+  }
+}
+
+function listAudiences() {
+  return loadAll().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getAudience(id) {
+  const audience = loadAll().find(a => a.id === id);
+  if (!audience) throw httpError(404, "Audience not found");
+  return audience;
+}
+
+function createAudience({ name, storeIds }) {
+  const all = loadAll();
+  const audience = {
+    id: crypto.randomUUID(),
+    name: normalizeName(name),
+    storeIds: normalizeStoreIds(storeIds),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  assertUniqueName(all, audience.name, null);
+  all.push(audience);
+  store.save(COLLECTION, all);
+  return audience;
+}
+
+// Renames and/or replaces the store list; omitted fields are left unchanged.
+function updateAudience(id, { name, storeIds }) {
+  const all = loadAll();
+  const audience = all.find(a => a.id === id);
+  if (!audience) throw httpError(404, "Audience not found");
+  if (name !== undefined) {
+    audience.name = normalizeName(name);
+    assertUniqueName(all, audience.name, id);
+  }
+  if (storeIds !== undefined) audience.storeIds = normalizeStoreIds(storeIds);
+  audience.updatedAt = new Date().toISOString();
+  store.save(COLLECTION, all);
+  return audience;
+}
+
+function deleteAudience(id) {
+  const all = loadAll();
+  const remaining = all.filter(a => a.id !== id);
+  if (remaining.length === all.length) throw httpError(404, "Audience not found");
+  store.save(COLLECTION, remaining);
+}
+
+module.exports = { listAudiences, getAudience, createAudience, updateAudience, deleteAudience };
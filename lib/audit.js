@@ -0,0 +1,67 @@
+const crypto = require("crypto");
+const store = require("./store");
+const { formatCSV } = require("./csv");
+
+// --- AUDIT LOG ---
+// Who did what to which message, and how it went. Entries are appended to a
+// local log and never changed afterwards.
+
+const LOG = "audit";
+const ACTIONS = ["create", "publish", "edit", "retry", "archive", "restore", "delete", "provision"];
+const OUTCOMES = ["success", "partial", "failure"];
+
+function record({ action, actor, channelId, postId, storeIds, outcome, details, error }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    actor: actor || null,
+    channelId: channelId || null,
+    postId: postId || null,
+    storeIds: storeIds || [],
+    outcome,
+    details: details || null,
+    error: error || null
+  };
+  try {
+    store.append(LOG, entry);
+  } catch (err) {
+    // Never let a logging problem break the action being logged
+    console.error("[AUDIT] Could not write entry:", err.message, entry);
+  }
+  return entry;
+}
+
+// Filters are all optional and combined with AND. `from` / `to` are dates
+// (YYYY-MM-DD, inclusive) or ISO timestamps. Newest entries come first.
+function query({ action, actor, outcome, channelId, storeId, from, to, q } = {}) {
+  const toBound = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to;
+  const text = q ? String(q).toLowerCase() : null;
+  return store.loadLog(LOG)
+    .filter(e =>
+      (!action || e.action === action) &&
+      (!actor || e.actor?.username === actor) &&
+      (!outcome || e.outcome === outcome) &&
+      (!channelId || e.channelId === channelId) &&
+      (!storeId || e.storeIds.includes(storeId)) &&
+      (!from || e.at >= from) &&
+      (!toBound || e.at <= toBound) &&
+      (!text || [e.details, e.error, e.channelId, e.postId].some(v => v && v.toLowerCase().includes(text))))
+    .reverse();
+}
+
+function actors() {
+  return [...new Set(store.loadLog(LOG).map(e => e.actor?.username).filter(Boolean))].sort();
+}
+
+function toCSV(entries) {
+  return formatCSV([
+    ["Time", "Action", "User", "Outcome", "Channel ID", "Post ID", "Store Count", "Store IDs", "Details", "Error"],
+    ...entries.map(e => [
+      e.at, e.action, e.actor?.username || "", e.outcome, e.channelId, e.postId,
+      e.storeIds.length, e.storeIds.join(" "), e.details, e.error
+    ])
+  ]);
+}
+
+module.exports = { ACTIONS, OUTCOMES, record, query, actors, toCSV };
@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const users = require("./users");
+
+// --- SESSIONS & ACCESS CONTROL ---
+// Cookie-based sessions kept in memory (a restart signs everyone out), plus
+// the middleware routes use to require a signed-in user with a given role.
+
+const COOKIE_NAME = "mb_session";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+// Sign-in throttling. Per client address: at most MAX_FAILED_PER_ADDRESS
+// failures in LOGIN_WINDOW_MS, then refused until the window ends. Per
+// account: one attempt at a time, and after FREE_FAILURES_PER_USER failures
+// each further one waits a doubling delay (up to MAX_USER_DELAY_MS). A delay
+// rather than a lockout, so nobody can lock an account out by guessing.
+const MAX_FAILED_PER_ADDRESS = 20;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const FREE_FAILURES_PER_USER = 5;
+const MAX_USER_DELAY_MS = 30 * 1000;
+
+const sessions = new Map();
+const addressFailures = new Map(); // address -> { count, resetAt }
+const accountFailures = new Map(); // username -> { count, resetAt, nextAt, pending }
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    const key = part.slice(0, eq).trim();
+    if (key) cookies[key] = decodeURIComponent(part.slice(eq + 1).trim());
+  }
+  return cookies;
+}
+
+function sessionCookie(value, maxAgeSeconds) {
+  const secure = process.env.NODE_ENV === "production" ? "; Secure" : "";
+  return `${COOKIE_NAME}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSeconds}${secure}`;
+}
+
+function signIn(res, user) {
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, { userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS });
+  res.setHeader("Set-Cookie", sessionCookie(token, SESSION_TTL_MS / 1000));
+}
+
+function signOut(req, res) {
+  sessions.delete(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+  res.setHeader("Set-Cookie", sessionCookie("", 0));
+}
+
+function pruneFailures(now) {
+  for (const [key, entry] of addressFailures) {
+    if (entry.resetAt <= now) addressFailures.delete(key);
+  }
+  for (const [key, entry] of accountFailures) {
+    if (entry.resetAt <= now && !entry.pending) accountFailures.delete(key);
+  }
+}
+
+function failureEntry(map, key, now) {
+  let entry = map.get(key);
+  if (!entry || (entry.resetAt <= now && !entry.pending)) {
+    entry = { count: 0, resetAt: now + LOGIN_WINDOW_MS, nextAt: 0, pending: false };
+    map.set(key, entry);
+  }
+  return entry;
+}
+
+// Claims a sign-in attempt before the password is checked, so attempts sent
+// in parallel are counted too. Returns { retryAfter } (seconds) when the
+// attempt is refused, otherwise { finish(succeeded) } to call with the result.
+function beginLogin(req, username) {
+  const now = Date.now();
+  pruneFailures(now);
+  const name = typeof username === "string" ? username.trim().toLowerCase() : "";
+  const address = failureEntry(addressFailures, req.ip, now);
+  const account = failureEntry(accountFailures, name, now);
+  if (address.count >= MAX_FAILED_PER_ADDRESS) return { retryAfter: Math.ceil((address.resetAt - now) / 1000) };
+  if (account.pending || account.nextAt > now) return { retryAfter: Math.max(1, Math.ceil((account.nextAt - now) / 1000)) };
+
+  // Counted as failed until shown otherwise
+  address.count++;
+  account.pending = true;
+  return {
+    finish(succeeded) {
+      account.pending = false;
+      if (succeeded) {
+        address.count--;
+        accountFailures.delete(name);
+        return;
+      }
+      account.count++;
+      account.resetAt = Date.now() + LOGIN_WINDOW_MS;
+      if (account.count >= FREE_FAILURES_PER_USER) {
+        account.nextAt = Date.now() + Math.min(1000 * 2 ** (account.count - FREE_FAILURES_PER_USER), MAX_USER_DELAY_MS);
+      }
+    }
+  };
+}
+
+// Ends every session of a user, e.g. after their account was deleted.
+function revokeUser(userId) {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId) sessions.delete(token);
+  }
+}
+
+// Sets req.user when the request carries a live session. The user is re-read
+// on every request so role changes take effect immediately.
+function authenticate(req, res, next) {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  const session = token && sessions.get(token);
+  if (session && session.expiresAt > Date.now()) {
+    req.user = users.getUser(session.userId);
+    if (!req.user) sessions.delete(token);
+  } else if (session) {
+    sessions.delete(token);
+  }
+  next();
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: "Please sign in." });
+    if (!users.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role.` });
+    }
+    next();
+  };
+}
+
+// Who did something, as recorded on messages.
+function actor(user) {
+  return user ? { id: user.id, username: user.username } : null;
+}
+
+module.exports = { signIn, signOut, revokeUser, authenticate, requireRole, actor, beginLogin };
@@ -0,0 +1,166 @@
+const { readTable } = require("./spreadsheet");
+const { parseDate } = require("./csv");
+const categories = require("./categories");
+const audiences = require("./audiences");
+const { httpError } = require("./errors");
+
+// --- CAMPAIGN UPLOAD ---
+// Many messages from one CSV / XLSX sheet. A row with a Title starts a new
+// message; rows below it without a Title add tasks (and stores) to that
+// message, so a message is either a single row or a section of rows. The
+// whole sheet is checked before anything is created and every problem is
+// reported with the row it is on.
+
+// Header aliases (lower-cased, spaces/underscores removed) -> field
+const COLUMN_ALIASES = {
+  title: ["title", "messagetitle", "message", "subject"],
+  category: ["category", "department", "dept"],
+  deadline: ["deadline"],
+  stores: ["stores", "storeids", "storeid", "store"],
+  audience: ["audience", "savedaudience"],
+  body: ["body", "content", "text"],
+  teaser: ["teaser", "summary"],
+  publish: ["publish", "publishmode"],
+  scheduledAt: ["scheduledat", "publishat", "scheduled"],
+  notify: ["notify", "push"],
+  task: ["task", "tasktitle"],
+  taskDescription: ["taskdescription", "taskdetails"],
+  taskDueDate: ["taskduedate", "taskdue"]
+};
+const MAX_MESSAGES = 100;
+const YES = ["yes", "y", "true", "1", "x"];
+
+function normalizeHeader(h) {
+  return h.toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function columnFor(header) {
+  const key = normalizeHeader(header);
+  return Object.keys(COLUMN_ALIASES).find(col => COLUMN_ALIASES[col].includes(key)) || null;
+}
+
+const splitStoreIds = (value) => value.split(/[\s,;|]+/).filter(Boolean);
+
+function findAudience(name) {
+  return audiences.listAudiences().find(a => a.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+// Adds a row's stores and task to `message`; returns the row's problems.
+function addRowDetails(message, raw, row) {
+  const errors = [];
+  if (raw.stores) message.storeIds.push(...splitStoreIds(raw.stores));
+  if (raw.audience) {
+    const audience = findAudience(raw.audience);
+    if (audience) {
+      message.storeIds.push(...audience.storeIds);
+      message.audiences.push(audience.name);
+    } else {
+      errors.push({ row, message: `Unknown audience "${raw.audience}"` });
+    }
+  }
+  if (raw.task) {
+    const task = { title: raw.task, description: raw.taskDescription || "" };
+    if (raw.taskDueDate) {
+      task.dueDate = parseDate(raw.taskDueDate);
+      if (!task.dueDate) errors.push({ row, message: `Unrecognized task due date "${raw.taskDueDate}"` });
+    }
+    message.tasks.push(task);
+  } else if (raw.taskDescription || raw.taskDueDate) {
+    errors.push({ row, message: "Task details without a task title" });
+  }
+  return errors;
+}
+
+function startMessage(raw, row) {
+  const errors = [];
+  const message = {
+    row,
+    title: raw.title,
+    department: null,
+    deadline: null,
+    storeIds: [],
+    audiences: [],
+    body: raw.body || "",
+    teaser: raw.teaser || "",
+    publishMode: (raw.publish || "draft").toLowerCase(),
+    scheduledAt: null,
+    notify: YES.includes((raw.notify || "").toLowerCase()),
+    tasks: []
+  };
+
+  try {
+    message.department = categories.resolveCategoryName(raw.category);
+  } catch (err) {
+    errors.push({ row, message: err.message });
+  }
+  if (raw.deadline) {
+    const deadline = parseDate(raw.deadline);
+    if (deadline) message.deadline = deadline.slice(0, 10);
+    else errors.push({ row, message: `Unrecognized deadline "${raw.deadline}"` });
+  }
+  if (raw.scheduledAt) {
+    const when = new Date(raw.scheduledAt);
+    if (isNaN(when.getTime())) errors.push({ row, message: `Unrecognized publish date "${raw.scheduledAt}"` });
+    else message.scheduledAt = when.toISOString();
+  }
+  return { message, errors };
+}
+
+// Returns { messages, errors, warnings }. Store IDs are only checked for
+// presence here; whether they exist in Staffbase is up to the caller.
+function parseCampaign(file) {
+  let table;
+  try {
+    table = readTable(file);
+  } catch (err) {
+    throw httpError(400, `Could not read file: ${err.message}`);
+  }
+  const { headers, rows, lines } = table;
+  if (rows.length === 0) throw httpError(400, "The file has no rows");
+
+  const columns = headers.map(columnFor);
+  if (!columns.includes("title")) throw httpError(400, "The file needs a Title column (one row per message)");
+
+  const report = { messages: [], errors: [], warnings: [] };
+  headers.forEach((h, i) => {
+    if (!columns[i]) report.warnings.push({ row: 1, message: `Ignoring unknown column "${h}"` });
+  });
+
+  let current = null;
+  rows.forEach((cells, i) => {
+    const row = lines[i];
+    const raw = {};
+    columns.forEach((col, c) => { if (col && cells[c]) raw[col] = cells[c]; });
+
+    if (raw.title) {
+      const { message, errors } = startMessage(raw, row);
+      current = message;
+      report.messages.push(message);
+      report.errors.push(...errors);
+    } else if (!current) {
+      report.errors.push({ row, message: "Rows before the first message need a Title" });
+      return;
+    } else {
+      const ignored = ["category", "deadline", "body", "teaser", "publish", "scheduledAt", "notify"].filter(f => raw[f]);
+      if (ignored.length) report.warnings.push({ row, message: `Ignoring ${ignored.join(", ")}: only the message's first row sets them` });
+    }
+    report.errors.push(...addRowDetails(current, raw, row));
+  });
+
+  if (report.messages.length > MAX_MESSAGES) {
+    report.errors.push({ row: 1, message: `A campaign can have at most ${MAX_MESSAGES} messages (this file has ${report.messages.length})` });
+  }
+  const titles = new Set();
+  report.messages.forEach(m => {
+    m.storeIds = [...new Set(m.storeIds)];
+    if (m.storeIds.length === 0) report.errors.push({ row: m.row, message: "No stores: fill in Stores or Audience" });
+    const key = `${m.title.toLowerCase()}|${m.deadline}`;
+    if (titles.has(key)) report.warnings.push({ row: m.row, message: `"${m.title}" appears more than once with the same deadline` });
+    titles.add(key);
+  });
+  report.errors.sort((a, b) => a.row - b.row);
+  report.warnings.sort((a, b) => a.row - b.row);
+  return report;
+}
+
+module.exports = { MAX_MESSAGES, parseCampaign };
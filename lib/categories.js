@@ -0,0 +1,47 @@
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- CATEGORY REGISTRY ---
+// The single definition of message categories: display name, color, default
+// visibility (groups/users added to every channel of the category, on top of
+// the editable visibility rules) and default tasks pre-filled in the form.
+// A "categories" collection in the local store replaces this list, so a new
+// department can be added without a redeploy.
+
+const FALLBACK_CATEGORY = "Uncategorized";
+
+const DEFAULT_CATEGORIES = [
+  { name: "Merchandising", shortName: "Merch", color: "#ffd166", visibility: [], defaultTasks: [] },
+  { name: "Marketing", shortName: "Marketing", color: "#F58220", visibility: [], defaultTasks: [] },
+  { name: "Audit", shortName: "Audit", color: "#e74c3c", visibility: [], defaultTasks: [] },
+  { name: "Operations", shortName: "Ops", color: "#118ab2", visibility: [], defaultTasks: [] },
+  { name: "HR", shortName: "HR", color: "#06d6a0", visibility: [], defaultTasks: [] },
+  { name: "IT", shortName: "IT", color: "#073b4c", visibility: [], defaultTasks: [] },
+  { name: FALLBACK_CATEGORY, shortName: FALLBACK_CATEGORY, color: "#95a5a6", visibility: [], defaultTasks: [], selectable: false }
+];
+
+function listCategories() {
+  return store.load("categories", DEFAULT_CATEGORIES).map(c => ({
+    name: c.name,
+    shortName: c.shortName || c.name,
+    color: c.color || "#95a5a6",
+    visibility: c.visibility || [],
+    defaultTasks: c.defaultTasks || [],
+    selectable: c.selectable !== false
+  }));
+}
+
+function getCategory(name) {
+  return listCategories().find(c => c.name === name) || null;
+}
+
+// Maps the submitted department to a registered category name. Blank values
+// fall back to "Uncategorized"; anything else must be registered.
+function resolveCategoryName(name) {
+  if (!name || name === "undefined" || String(name).trim() === "") return FALLBACK_CATEGORY;
+  const category = getCategory(String(name).trim());
+  if (!category) throw httpError(400, `Unknown category: ${name}`);
+  return category.name;
+}
+
+module.exports = { FALLBACK_CATEGORY, listCategories, getCategory, resolveCategoryName };
@@ -0,0 +1,80 @@
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+// --- POST CONTENT ---
+// Builds the HTML that goes into the Staffbase post: the author's Markdown
+// body (converted and sanitized) followed by the generated Action Items list.
+
+// Formatting we allow in posts; everything else is stripped. The span styles
+// are the muted due-date/priority notes in the Action Items list.
+const POST_HTML_POLICY = {
+  allowedTags: ["p", "br", "hr", "h2", "h3", "h4", "strong", "b", "em", "i", "u", "s", "blockquote", "ul", "ol", "li", "a", "code", "pre", "span"],
+  allowedAttributes: { a: ["href", "title", "target", "rel"], span: ["style"] },
+  allowedStyles: {
+    span: {
+      color: [/^#[0-9a-f]{3,6}$/i],
+      "font-size": [/^\d+(\.\d+)?(em|px|%)$/]
+    }
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { target: "_blank", rel: "noopener noreferrer" })
+  }
+};
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Plain text (task fields, titles) must never be interpreted as markup.
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderMarkdown(markdown) {
+  if (!markdown || !markdown.trim()) return "";
+  const html = marked.parse(markdown, { gfm: true, breaks: true });
+  return sanitizeHtml(html, POST_HTML_POLICY);
+}
+
+function buildTaskListHTML(tasks) {
+  if (tasks.length === 0) return "";
+  let taskListHTML = "<h3>Action Items</h3><ul>";
+  tasks.forEach(t => {
+    let dateDisplay = "";
+    if (t.dueDate) {
+       const d = new Date(t.dueDate);
+       // Format date simply
+       dateDisplay = ` <span style="color:#666; font-size:0.9em;">(Due: ${d.toLocaleDateString()})</span>`;
+    }
+    const priorityDisplay = t.priority ? ` <span style="color:#666; font-size:0.9em;">[Priority: ${escapeHtml(t.priority)}]</span>` : "";
+    taskListHTML += `<li><strong>${escapeHtml(t.title)}</strong><br>${escapeHtml(t.description)}${dateDisplay}${priorityDisplay}</li>`;
+  });
+  taskListHTML += "</ul>";
+  return taskListHTML;
+}
+
+// Without a body the post keeps its old shape: the title, a rule, the tasks.
+// The assembled HTML goes through the allow-list once more so nothing built
+// here can smuggle markup past it.
+function buildPostContent({ title, body, tasks }) {
+  const bodyHTML = renderMarkdown(body);
+  const html = `${bodyHTML || escapeHtml(title)}<hr>${buildTaskListHTML(tasks)}`;
+  return sanitizeHtml(html, POST_HTML_POLICY);
+}
+
+// Reminder (sent to the stores) or escalation (sent to the escalation group)
+// for a message whose tasks are still open. `stores` are the open stores, each
+// with the titles of its open tasks.
+function buildNoticeContent(kind, { title, deadline }, stores) {
+  let html;
+  if (kind === "reminder") {
+    const openTasks = [...new Set(stores.flatMap(s => s.openTasks))];
+    html = `<p>Action items from <strong>${escapeHtml(title)}</strong> are still open. Please complete them by <strong>${escapeHtml(deadline)}</strong>.</p>` +
+      `<ul>${openTasks.map(t => `<li>${escapeHtml(t)}</li>`).join("")}</ul>`;
+  } else {
+    html = `<p>${stores.length} store(s) missed the <strong>${escapeHtml(deadline)}</strong> deadline for <strong>${escapeHtml(title)}</strong>.</p>` +
+      `<ul>${stores.map(s => `<li><strong>${escapeHtml(s.storeId)}</strong> ${escapeHtml(s.name)}: ${s.openTasks.map(escapeHtml).join(", ")}</li>`).join("")}</ul>`;
+  }
+  return sanitizeHtml(html, POST_HTML_POLICY);
+}
+
+module.exports = { POST_HTML_POLICY, escapeHtml, renderMarkdown, buildTaskListHTML, buildPostContent, buildNoticeContent };
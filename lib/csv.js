@@ -0,0 +1,114 @@
+// --- CSV PARSING ---
+// Minimal RFC 4180 style parser: quoted fields (with "" escapes and embedded
+// newlines), comma / semicolon / tab delimiters, BOM and CRLF handling.
+
+const DELIMITERS = [";", ",", "\t"];
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+// Picks the delimiter that occurs most often (outside quotes) in the first
+// line. Semicolon wins ties, matching the original Title;Description;Date format.
+function detectDelimiter(text) {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), DELIMITERS[0]);
+}
+
+// Returns [{ line, fields }] where `line` is the 1-based line the record starts
+// on. Blank lines are dropped.
+function parseCSV(input, { delimiter } = {}) {
+  const text = stripBom(Buffer.isBuffer(input) ? input.toString("utf8") : String(input));
+  const delim = delimiter || detectDelimiter(text);
+  const records = [];
+  let fields = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(f => f.trim() !== "")) records.push({ line: recordLine, fields: fields.map(f => f.trim()) });
+    fields = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else {
+        if (ch === "\n") line++;
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === "") {
+      field = "";
+      inQuotes = true;
+    } else if (ch === delim) {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length > 0) endRecord();
+
+  return { delimiter: delim, records };
+}
+
+// --- DATE PARSING ---
+// Accepts ISO (2024-12-25, optionally with time), US (12/25/2024, 12/25/24)
+// and European dotted (25.12.2024) dates, plus anything with a spelled-out
+// month ("Dec 25 2024"). Slashed dates are read month-first. Returns an ISO
+// string, or null when the value can't be read unambiguously.
+const MONTH_NAME = /[a-z]{3,}/i;
+
+function utcDate(y, m, d) {
+  if (y < 100) y += 2000;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString();
+}
+
+function parseDate(value) {
+  const v = String(value || "").trim();
+  if (!v) return null;
+  let m;
+  if ((m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) return utcDate(+m[1], +m[2], +m[3]);
+  if ((m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) return utcDate(+m[3], +m[1], +m[2]);
+  if ((m = v.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) return utcDate(+m[3], +m[2], +m[1]);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(v) || MONTH_NAME.test(v)) {
+    const d = new Date(v);
+    return isNaN(d.getTime()) ? null : d.toISOString();
+  }
+  return null;
+}
+
+// --- CSV WRITING ---
+// Comma-separated with CRLF line ends, quoting fields that need it. Cells that
+// start like a formula (= + - @) get a leading ' so spreadsheet apps show them
+// as text instead of evaluating them.
+function formatField(value) {
+  let v = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(v)) v = `'${v}`;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+function formatCSV(rows) {
+  return rows.map(row => row.map(formatField).join(",")).join("\r\n") + "\r\n";
+}
+
+module.exports = { parseCSV, detectDelimiter, parseDate, formatCSV };
@@ -0,0 +1,9 @@
+// Error carrying the HTTP status a route should answer with (defaults to 500
+// in the route handlers when absent).
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = { httpError };
@@ -0,0 +1,103 @@
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- MESSAGE INDEX ---
+// What the Messages list shows, one entry per channel the portal created,
+// so listing doesn't need a Staffbase call per channel. Entries are updated
+// whenever the portal changes a message and can be rebuilt from Staffbase
+// (e.g. after a post was published in Staffbase admin).
+
+const COLLECTION = "items";
+const STATUSES = ["draft", "scheduled", "published", "archived"];
+const SORT_FIELDS = ["createdAt", "title", "department", "deadline", "status"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function loadIndex() {
+  return store.load(COLLECTION, { refreshedAt: null, items: {} });
+}
+
+function getItem(channelId) {
+  return loadIndex().items[channelId] || null;
+}
+
+function upsertItem(entry) {
+  const index = loadIndex();
+  index.items[entry.channelId] = { ...index.items[entry.channelId], ...entry, indexedAt: new Date().toISOString() };
+  store.save(COLLECTION, index);
+  return index.items[entry.channelId];
+}
+
+function removeItem(channelId) {
+  const index = loadIndex();
+  delete index.items[channelId];
+  store.save(COLLECTION, index);
+}
+
+// Replaces the whole index with what a Staffbase scan found.
+function replaceAll(entries) {
+  const indexedAt = new Date().toISOString();
+  const items = Object.fromEntries(entries.map(e => [e.channelId, { ...e, indexedAt }]));
+  store.save(COLLECTION, { refreshedAt: indexedAt, items });
+}
+
+// A scheduled post whose time has come is published by Staffbase on its own.
+function effectiveStatus(item, now) {
+  if (item.status === "Scheduled" && item.scheduledAt && Date.parse(item.scheduledAt) <= now) return "Published";
+  return item.status;
+}
+
+function compare(field) {
+  return (a, b) => String(a[field] ?? "").localeCompare(String(b[field] ?? ""), undefined, { sensitivity: "base" });
+}
+
+// Every entry matching the filters, sorted. Filters are optional and combined
+// with AND. Archived messages only show up when asked for with status
+// "archived".
+function find({ storeId, department, q, status, sort, order } = {}) {
+  if (status && !STATUSES.includes(status)) throw httpError(400, `Unknown status: ${status}`);
+  const sortField = sort || "createdAt";
+  if (!SORT_FIELDS.includes(sortField)) throw httpError(400, `Cannot sort by ${sortField}`);
+
+  const now = Date.now();
+  const text = q ? String(q).toLowerCase() : null;
+  const matches = Object.values(loadIndex().items)
+    .map(item => ({ ...item, status: effectiveStatus(item, now) }))
+    .filter(item =>
+      (status === "archived" ? item.archived : !item.archived) &&
+      (!status || status === "archived" || item.status.toLowerCase() === status) &&
+      (!storeId || item.storeIds.includes(String(storeId))) &&
+      (!department || item.department === department) &&
+      (!text || item.title.toLowerCase().includes(text)));
+
+  matches.sort(compare(sortField));
+  if ((order || (sortField === "createdAt" ? "desc" : "asc")) === "desc") matches.reverse();
+  return matches;
+}
+
+// One page of find(), plus the total for paging.
+function query({ limit, offset, ...filters } = {}) {
+  const matches = find(filters);
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const start = Math.max(Number(offset) || 0, 0);
+  return {
+    items: matches.slice(start, start + pageSize),
+    total: matches.length,
+    limit: pageSize,
+    offset: start,
+    refreshedAt: loadIndex().refreshedAt
+  };
+}
+
+// Spreadsheet rows (header first) for an export of the list.
+function toRows(entries) {
+  return [
+    ["Title", "Category", "Status", "Store Count", "Created", "Deadline", "Created By", "Channel ID"],
+    ...entries.map(i => [
+      i.title, i.department, i.archived ? "Archived" : i.status, i.userCount,
+      i.createdAt ? i.createdAt.slice(0, 10) : "", i.deadline || "", i.createdBy || "", i.channelId
+    ])
+  ];
+}
+
+module.exports = { STATUSES, SORT_FIELDS, loadIndex, getItem, upsertItem, removeItem, replaceAll, find, query, toRows };
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+
+// --- BACKGROUND JOBS ---
+// In-memory job registry for long-running work (e.g. rollouts to hundreds of
+// stores). Jobs live in this process only, so they need a long-lived server;
+// finished jobs are pruned after JOB_TTL.
+
+const jobs = new Map();
+const JOB_TTL = 1000 * 60 * 60; // Keep finished jobs for 1 hour
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+  }
+}
+
+function createJob(type, steps = []) {
+  pruneJobs();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    createdAt: Date.now(),
+    finishedAt: null,
+    steps: steps.map(s => ({ key: s.key, label: s.label, status: "pending", error: null })),
+    stores: {},
+    result: null,
+    error: null
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Runs `fn` inside a named step, recording its status on the job.
+async function runStep(job, key, fn) {
+  const step = job.steps.find(s => s.key === key);
+  if (step) step.status = "running";
+  try {
+    const out = await fn();
+    if (step) step.status = "done";
+    return out;
+  } catch (err) {
+    if (step) {
+      step.status = "failed";
+      step.error = err.message;
+    }
+    throw err;
+  }
+}
+
+function setStoreStatus(job, storeId, status, extra = {}) {
+  job.stores[storeId] = { ...(job.stores[storeId] || {}), ...extra, storeId, status };
+}
+
+// Runs the worker to the end, recording its result or error on the job.
+// Never rejects; resolves to the job.
+async function runJob(job, worker) {
+  job.status = "running";
+  try {
+    job.result = (await worker(job)) || null;
+    job.status = "completed";
+  } catch (err) {
+    console.error(`[JOB ${job.id}] Failed:`, err.message);
+    job.error = err.message;
+    job.status = "failed";
+  } finally {
+    job.finishedAt = Date.now();
+  }
+  return job;
+}
+
+// Fire-and-forget: the caller responds with job.id, the worker keeps going
+// in this process (which is why the portal can't run serverless).
+function startJob(job, worker) {
+  runJob(job, worker);
+  return job;
+}
+
+// Snapshot sent to the UI: per-store entries plus done/failed/remaining counts.
+function serializeJob(job) {
+  const stores = Object.values(job.stores);
+  const count = (s) => stores.filter(x => x.status === s).length;
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    steps: job.steps,
+    progress: {
+      total: stores.length,
+      done: count("done"),
+      failed: count("failed"),
+      skipped: count("skipped"),
+      remaining: count("pending") + count("running")
+    },
+    stores,
+    result: job.result,
+    error: job.error
+  };
+}
+
+module.exports = { createJob, getJob, runStep, setStoreStatus, runJob, startJob, serializeJob };
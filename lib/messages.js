@@ -0,0 +1,42 @@
+const store = require("./store");
+
+// --- MESSAGE RECORDS ---
+// One record per channel created by the tool, keyed by channelId. Holds the
+// task definitions and the per-store distribution result so failed stores can
+// be retried later without duplicating tasks.
+
+const COLLECTION = "messages";
+
+function getMessage(channelId) {
+  const all = store.load(COLLECTION, {});
+  return all[channelId] || null;
+}
+
+function saveMessage(record) {
+  const all = store.load(COLLECTION, {});
+  all[record.channelId] = record;
+  store.save(COLLECTION, all);
+  return record;
+}
+
+function deleteMessage(channelId) {
+  const all = store.load(COLLECTION, {});
+  delete all[channelId];
+  store.save(COLLECTION, all);
+}
+
+function listMessages() {
+  return Object.values(store.load(COLLECTION, {}));
+}
+
+function storeResults(record) {
+  return Object.values(record.stores || {});
+}
+
+function summarizeStores(record) {
+  const results = storeResults(record);
+  const count = (s) => results.filter(r => r.status === s).length;
+  return { total: results.length, done: count("done"), failed: count("failed"), skipped: count("skipped") };
+}
+
+module.exports = { getMessage, saveMessage, deleteMessage, listMessages, storeResults, summarizeStores };
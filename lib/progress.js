@@ -0,0 +1,120 @@
+// --- TASK COMPLETION PROGRESS ---
+// Turns the task states fetched from each store's task list into per-store,
+// per-task and overall completion for a message. Results are cached per
+// channel so reopening the dashboard doesn't refetch every store's list.
+
+const CACHE_TTL = 1000 * 60 * 5; // 5 minutes
+const DONE_STATUSES = ["DONE", "COMPLETED"];
+
+const cache = new Map();
+
+function getCached(channelId) {
+  const hit = cache.get(channelId);
+  return hit && Date.now() - hit.at < CACHE_TTL ? hit.progress : null;
+}
+
+function setCached(channelId, progress) {
+  cache.set(channelId, { at: Date.now(), progress });
+}
+
+function invalidate(channelId) {
+  cache.delete(channelId);
+}
+
+const percent = (done, total) => (total ? Math.round((done / total) * 100) : 0);
+
+function isDone(task) {
+  return DONE_STATUSES.includes(String(task?.status || "").toUpperCase());
+}
+
+// A task is overdue when it is still open after its own due date, or after
+// the message deadline when the task has none.
+function isOverdue(taskDef, state, deadline, now) {
+  if (isDone(state)) return false;
+  const due = taskDef.dueDate || (deadline ? `${deadline}T23:59:59` : null);
+  return !!due && new Date(due).getTime() < now;
+}
+
+// `fetched` maps storeId -> { tasks: [{ id, status }], error }. Stores without
+// a task list (skipped or failed rollout) are listed but don't count towards
+// the percentages.
+function summarize(record, fetched, now = Date.now()) {
+  const defs = record.tasks || [];
+  const taskStats = defs.map((t, index) => ({
+    index, title: t.title, dueDate: t.dueDate || null, total: 0, done: 0, overdueStores: []
+  }));
+
+  const stores = Object.values(record.stores || {}).map(result => {
+    const entry = fetched[result.storeId];
+    const store = {
+      storeId: result.storeId,
+      name: result.name,
+      tracked: !!entry && !entry.error,
+      total: 0,
+      done: 0,
+      percent: 0,
+      overdue: false,
+      tasks: [],
+      error: entry?.error || (result.listId ? null : result.reason || result.error || "No task list")
+    };
+    if (!store.tracked) return store;
+
+    const states = new Map(entry.tasks.map(t => [t.id, t]));
+    result.tasks.forEach(({ index, id }) => {
+      const def = defs[index];
+      if (!def) return;
+      const state = states.get(id);
+      const done = isDone(state);
+      const overdue = isOverdue(def, state, record.deadline, now);
+      store.total++;
+      if (done) store.done++;
+      if (overdue) store.overdue = true;
+      store.tasks.push({ index, title: def.title, dueDate: def.dueDate || null, status: state?.status || "MISSING", done, overdue });
+      const stat = taskStats[index];
+      stat.total++;
+      if (done) stat.done++;
+      if (overdue) stat.overdueStores.push(result.storeId);
+    });
+    store.percent = percent(store.done, store.total);
+    return store;
+  });
+
+  const total = stores.reduce((n, s) => n + s.total, 0);
+  const done = stores.reduce((n, s) => n + s.done, 0);
+  return {
+    channelId: record.channelId,
+    title: record.title,
+    deadline: record.deadline || null,
+    fetchedAt: new Date(now).toISOString(),
+    overall: { total, done, percent: percent(done, total) },
+    overdueStores: stores.filter(s => s.overdue).map(s => s.storeId),
+    stores,
+    tasks: taskStats.map(t => ({ ...t, percent: percent(t.done, t.total) }))
+  };
+}
+
+function taskCell(task) {
+  if (task.done) return "Done";
+  if (task.overdue) return "Overdue";
+  return task.status === "MISSING" ? "Missing" : "Open";
+}
+
+// Spreadsheet rows (header first) for a summary: one row per store, one
+// column per task. Stores without a task list say why in the Status column.
+function toMatrixRows(summary) {
+  return [
+    ["Store ID", "Store", "Status", "Done", "Total", "Percent", ...summary.tasks.map(t => `${t.index + 1}. ${t.title}`)],
+    ...summary.stores.map(store => {
+      const cells = summary.tasks.map(t => {
+        const task = store.tasks.find(x => x.index === t.index);
+        return task ? taskCell(task) : "";
+      });
+      const status = !store.tracked ? `Not tracked: ${store.error}`
+        : store.total && store.done === store.total ? "Complete"
+          : store.overdue ? "Overdue" : "Open";
+      return [store.storeId, store.name || "", status, store.done, store.total, store.tracked ? store.percent : "", ...cells];
+    })
+  ];
+}
+
+module.exports = { DONE_STATUSES, getCached, setCached, invalidate, isDone, summarize, toMatrixRows };
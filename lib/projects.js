@@ -0,0 +1,109 @@
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- STORE TASK PROJECTS ---
+// Which task installation ("project") a store's tasks go to. An explicit
+// mapping set by an admin wins; otherwise the project is found by its English
+// title: "Store #10001" by default (also "Store 10001"), or a custom title
+// pattern with {storeId} where the ID goes, e.g. "Filiale {storeId}".
+// With auto-provisioning on, rollouts create the projects that are missing.
+
+const COLLECTION = "store-projects";
+const STORE_ID = "{storeId}";
+const DEFAULT_TITLE = "Store #{storeId}";
+const DEFAULT_TITLE_PATTERN = /^Store\s*#?\s*(\w+)$/i;
+
+function getSettings() {
+  const s = store.load(COLLECTION, {});
+  return { pattern: s.pattern || null, autoProvision: !!s.autoProvision, mappings: s.mappings || {} };
+}
+
+function normalizePattern(pattern) {
+  const p = typeof pattern === "string" ? pattern.trim() : "";
+  if (!p) return null;
+  if (p.split(STORE_ID).length !== 2) throw httpError(400, `The title pattern must contain ${STORE_ID} exactly once`);
+  return p;
+}
+
+function normalizeMappings(mappings) {
+  if (!mappings || typeof mappings !== "object" || Array.isArray(mappings)) {
+    throw httpError(400, "mappings must be an object of store ID -> installation ID");
+  }
+  const normalized = {};
+  for (const [storeId, installationId] of Object.entries(mappings)) {
+    const s = String(storeId).trim();
+    const i = String(installationId ?? "").trim();
+    if (s && i) normalized[s] = i;
+  }
+  return normalized;
+}
+
+// Omitted fields are left unchanged.
+function saveSettings({ pattern, autoProvision, mappings } = {}) {
+  const current = getSettings();
+  const settings = {
+    pattern: pattern === undefined ? current.pattern : normalizePattern(pattern),
+    autoProvision: autoProvision === undefined ? current.autoProvision : autoProvision === true,
+    mappings: mappings === undefined ? current.mappings : normalizeMappings(mappings)
+  };
+  store.save(COLLECTION, settings);
+  return settings;
+}
+
+function setMapping(storeId, installationId) {
+  const settings = getSettings();
+  settings.mappings[storeId] = installationId;
+  store.save(COLLECTION, settings);
+}
+
+// A title pattern as a regex whose one capture group is the store ID. Spaces
+// in the pattern match any amount of whitespace (or none), like the default.
+function titleRegex(pattern) {
+  if (!pattern) return DEFAULT_TITLE_PATTERN;
+  const [before, after] = pattern.split(STORE_ID).map(part => part.trim().split(/\s+/).filter(Boolean)
+    .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s*"));
+  return new RegExp(`^${before}\\s*(\\w+)\\s*${after}$`, "i");
+}
+
+// Title for a project created for a store.
+function provisionTitle(storeId, pattern = getSettings().pattern) {
+  return (pattern || DEFAULT_TITLE).replace(STORE_ID, storeId);
+}
+
+const projectTitle = (inst) => inst.config?.localization?.en_US?.title || "";
+
+// Matches installations to store IDs. `projects` maps storeId -> { installationId,
+// title, source ("mapping" or "title"), duplicates }; duplicates are further
+// projects whose title names the same store (the first one found is used).
+// Mappings to installations that no longer exist come back as staleMappings.
+// News channels (the messages themselves) are never projects.
+function resolve(installations, settings = getSettings()) {
+  const regex = titleRegex(settings.pattern);
+  const titled = {};
+  for (const inst of installations) {
+    if (inst.pluginID === "news") continue;
+    const match = projectTitle(inst).trim().match(regex);
+    if (match) (titled[match[1]] ||= []).push(inst);
+  }
+
+  const projects = {};
+  for (const [storeId, [first, ...others]] of Object.entries(titled)) {
+    projects[storeId] = {
+      installationId: first.id,
+      title: projectTitle(first),
+      source: "title",
+      duplicates: others.map(i => ({ id: i.id, title: projectTitle(i) }))
+    };
+  }
+
+  const byId = new Map(installations.map(i => [i.id, i]));
+  const staleMappings = [];
+  for (const [storeId, installationId] of Object.entries(settings.mappings)) {
+    const inst = byId.get(installationId);
+    if (inst) projects[storeId] = { installationId, title: projectTitle(inst), source: "mapping", duplicates: [] };
+    else staleMappings.push({ storeId, installationId });
+  }
+  return { projects, staleMappings };
+}
+
+module.exports = { DEFAULT_TITLE, getSettings, saveSettings, setMapping, titleRegex, provisionTitle, projectTitle, resolve };
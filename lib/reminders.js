@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+const store = require("./store");
+const categories = require("./categories");
+const { OPS_GROUP_ID } = require("./visibility");
+const { httpError } = require("./errors");
+
+// --- REMINDER RULES & LOG ---
+// For messages with a deadline, stores with open tasks get one reminder a few
+// days before it, and the escalation group hears about stores that are still
+// open after it. Rules are per category ("*" applies to every category
+// without its own rule); every reminder or escalation sent is logged.
+
+const COLLECTION = "reminder-rules";
+const LOG = "reminders";
+const ALL_CATEGORIES = "*";
+const KINDS = ["reminder", "escalation"];
+const OUTCOMES = ["sent", "skipped", "failed"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RULES = [
+  {
+    category: ALL_CATEGORIES,
+    enabled: true,
+    remindDaysBefore: 2,
+    escalateDaysAfter: 1,
+    escalationGroupId: OPS_GROUP_ID,
+    escalationGroupName: "Ops group"
+  }
+];
+
+function getRules() {
+  return store.load(COLLECTION, { rules: DEFAULT_RULES }).rules;
+}
+
+function days(value, label, index) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 60) throw httpError(400, `Rule ${index + 1}: ${label} must be a whole number of days (0-60)`);
+  return n;
+}
+
+function normalizeRule(rule, index) {
+  const r = {
+    category: String(rule?.category || "").trim(),
+    enabled: rule?.enabled !== false,
+    remindDaysBefore: days(rule?.remindDaysBefore, "days before", index),
+    escalateDaysAfter: days(rule?.escalateDaysAfter, "days after", index),
+    escalationGroupId: String(rule?.escalationGroupId || "").trim(),
+    escalationGroupName: String(rule?.escalationGroupName || "").trim()
+  };
+  if (!r.category) throw httpError(400, `Rule ${index + 1}: category is required (use "*" for all)`);
+  if (r.category !== ALL_CATEGORIES && !categories.getCategory(r.category)) throw httpError(400, `Rule ${index + 1}: unknown category "${r.category}"`);
+  return r;
+}
+
+function saveRules(rules) {
+  if (!Array.isArray(rules)) throw httpError(400, "rules must be an array");
+  const normalized = rules.map(normalizeRule);
+  const categories = normalized.map(r => r.category);
+  const duplicate = categories.find((c, i) => categories.indexOf(c) !== i);
+  if (duplicate) throw httpError(400, `There is more than one rule for "${duplicate}"`);
+  store.save(COLLECTION, { rules: normalized });
+  return normalized;
+}
+
+function ruleFor(category) {
+  const rules = getRules();
+  return rules.find(r => r.category === category) || rules.find(r => r.category === ALL_CATEGORIES) || null;
+}
+
+// Days from `today` to `date` (both YYYY-MM-DD); negative once it has passed.
+function daysUntil(date, today) {
+  return Math.round((Date.parse(date) - Date.parse(today)) / DAY_MS);
+}
+
+// Whether stores can see the message's post yet: not while it is a draft or
+// scheduled for later.
+function isVisible(record, now = Date.now()) {
+  const { mode, scheduledAt } = record.publishing || {};
+  if (mode === "draft") return false;
+  return !(mode === "schedule" && Date.parse(scheduledAt) > now);
+}
+
+// Which kind of notice (if any) a message is due for today. Each kind is sent
+// at most once per message; `sent` lists the kinds already sent.
+function dueKind(record, rule, today, sent) {
+  if (!rule || !rule.enabled || !record.deadline || record.archived || !isVisible(record)) return null;
+  const left = daysUntil(record.deadline, today);
+  if (left < 0 && -left >= rule.escalateDaysAfter && rule.escalationGroupId && !sent.includes("escalation")) return "escalation";
+  if (left >= 0 && left <= rule.remindDaysBefore && !sent.includes("reminder")) return "reminder";
+  return null;
+}
+
+function record({ kind, channelId, title, storeIds, noticeChannelId, postId, outcome, error, trigger }) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    kind,
+    channelId,
+    title: title || null,
+    storeIds: storeIds || [],
+    noticeChannelId: noticeChannelId || null,
+    postId: postId || null,
+    outcome,
+    error: error || null,
+    trigger: trigger || "schedule"
+  };
+  try {
+    store.append(LOG, entry);
+  } catch (err) {
+    console.error("[REMINDERS] Could not write log entry:", err.message, entry);
+  }
+  return entry;
+}
+
+function listLog({ channelId, kind } = {}) {
+  return store.loadLog(LOG)
+    .filter(e => (!channelId || e.channelId === channelId) && (!kind || e.kind === kind))
+    .reverse();
+}
+
+module.exports = { ALL_CATEGORIES, KINDS, OUTCOMES, getRules, saveRules, ruleFor, daysUntil, dueKind, record, listLog };
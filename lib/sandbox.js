@@ -0,0 +1,187 @@
+// --- STAFFBASE SANDBOX ---
+// An in-memory stand-in for the parts of the Staffbase API this tool uses, so
+// the portal can be developed and tested without touching a real space. It is
+// plugged into the API client as its `fetch`, so requests never leave the
+// process. Seeded with store users (store IDs 10001, 10002, ...), a "Store #"
+// task project for every store but the last (to exercise "no project found")
+// and an ops group, which also answers to any `opsGroupIds` passed in (the
+// default visibility and escalation group) so the default rules find it. Failures can be injected at random (`failureRate`) or
+// scripted with failNext() to exercise retries and partial rollouts.
+
+const SANDBOX_GROUP_ID = "sandbox-ops";
+const REGIONS = ["North", "South", "East", "West"];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createSandbox({ hiddenAttributeKey = "storeId", stores = 12, failureRate = 0, failureStatuses = [503], latencyMs = 0, opsGroupIds = [] } = {}) {
+  let seq = 0;
+  const nextId = (prefix) => `${prefix}-${++seq}`;
+  const state = { users: [], groups: {}, installations: [], posts: [], lists: [], tasks: [] };
+  const scripted = [];
+
+  // --- SEED ---
+  for (let i = 1; i <= stores; i++) {
+    const storeId = String(10000 + i);
+    state.users.push({
+      id: nextId("user"),
+      firstName: "Store",
+      lastName: storeId,
+      profile: {
+        [hiddenAttributeKey]: storeId,
+        region: REGIONS[i % REGIONS.length],
+        district: `District ${Math.ceil(i / 3)}`,
+        format: i % 2 ? "Urban" : "Fuel"
+      }
+    });
+    if (i < stores) {
+      state.installations.push({
+        id: nextId("project"),
+        pluginID: "tasks",
+        config: { localization: { en_US: { title: `Store #${storeId}` } } },
+        accessorIDs: [],
+        createdAt: new Date().toISOString()
+      });
+    }
+  }
+  const ops = ["Olivia", "Omar"].map(firstName => ({ id: nextId("user"), firstName, lastName: "Ops", profile: {} }));
+  state.users.push(...ops);
+  for (const groupId of [SANDBOX_GROUP_ID, ...opsGroupIds]) state.groups[groupId] = ops.map(u => u.id);
+
+  // --- HANDLERS ---
+  const reply = (status, body, headers = {}) => ({ status, body, headers });
+  const notFound = (what) => reply(404, { error: `${what} not found` });
+  const page = (all, query) => {
+    const offset = Number(query.get("offset")) || 0;
+    const limit = Number(query.get("limit")) || 100;
+    return reply(200, { data: all.slice(offset, offset + limit), total: all.length });
+  };
+  const find = (collection, id) => state[collection].find(x => x.id === id);
+  const remove = (collection, predicate) => { state[collection] = state[collection].filter(x => !predicate(x)); };
+  const taskProject = (id) => state.installations.find(i => i.id === id && i.pluginID === "tasks");
+
+  const routes = [
+    ["GET", /^\/users$/, (m, q) => page(state.users, q)],
+    ["GET", /^\/users\/search$/, (m, q) => {
+      const group = /groups eq "([^"]+)"/.exec(q.get("filter") || "");
+      const members = group ? state.groups[group[1]] || [] : [];
+      return page(state.users.filter(u => members.includes(u.id)), q);
+    }],
+    ["GET", /^\/spaces\/[^/]+\/installations$/, (m, q) => page(state.installations, q)],
+    ["POST", /^\/spaces\/[^/]+\/installations$/, (m, q, body) => {
+      const inst = { id: nextId("channel"), ...body, accessorIDs: body.accessorIDs || [], createdAt: new Date().toISOString() };
+      state.installations.push(inst);
+      return reply(200, inst);
+    }],
+    ["GET", /^\/installations\/([^/]+)$/, ([id]) => {
+      const inst = find("installations", id);
+      return inst ? reply(200, inst) : notFound("Installation");
+    }],
+    ["PUT", /^\/installations\/([^/]+)$/, ([id], q, body) => {
+      const inst = find("installations", id);
+      if (!inst) return notFound("Installation");
+      Object.assign(inst, body);
+      return reply(200, inst);
+    }],
+    ["DELETE", /^\/installations\/([^/]+)$/, ([id]) => {
+      if (!find("installations", id)) return notFound("Installation");
+      remove("installations", i => i.id === id);
+      remove("posts", p => p.channelId === id);
+      return reply(204, null);
+    }],
+    ["GET", /^\/channels\/([^/]+)\/posts$/, ([id], q) => {
+      if (!find("installations", id)) return notFound("Channel");
+      return page(state.posts.filter(p => p.channelId === id).reverse(), q);
+    }],
+    ["POST", /^\/channels\/([^/]+)\/posts$/, ([id], q, body) => {
+      if (!find("installations", id)) return notFound("Channel");
+      const post = { id: nextId("post"), channelId: id, ...body, created: new Date().toISOString() };
+      state.posts.push(post);
+      return reply(200, post);
+    }],
+    ["PUT", /^\/posts\/([^/]+)$/, ([id], q, body) => {
+      const post = find("posts", id);
+      if (!post) return notFound("Post");
+      Object.assign(post, body);
+      return reply(200, post);
+    }],
+    ["POST", /^\/tasks\/([^/]+)\/lists$/, ([inst], q, body) => {
+      if (!taskProject(inst)) return notFound("Task project");
+      const list = { id: nextId("list"), installationId: inst, name: body.name };
+      state.lists.push(list);
+      return reply(200, list);
+    }],
+    ["PATCH", /^\/tasks\/([^/]+)\/lists\/([^/]+)$/, ([inst, id], q, body) => {
+      const list = state.lists.find(l => l.id === id && l.installationId === inst);
+      if (!list) return notFound("Task list");
+      Object.assign(list, body);
+      return reply(200, list);
+    }],
+    ["DELETE", /^\/tasks\/([^/]+)\/lists\/([^/]+)$/, ([inst, id]) => {
+      if (!state.lists.some(l => l.id === id && l.installationId === inst)) return notFound("Task list");
+      remove("lists", l => l.id === id);
+      remove("tasks", t => t.taskListId === id);
+      return reply(204, null);
+    }],
+    ["POST", /^\/tasks\/([^/]+)\/task$/, ([inst], q, body) => {
+      if (!state.lists.some(l => l.id === body.taskListId && l.installationId === inst)) return notFound("Task list");
+      const task = { id: nextId("task"), installationId: inst, ...body, status: body.status || "OPEN" };
+      state.tasks.push(task);
+      return reply(200, task);
+    }],
+    ["GET", /^\/tasks\/([^/]+)\/task$/, ([inst], q) =>
+      page(state.tasks.filter(t => t.installationId === inst && (!q.get("taskListId") || t.taskListId === q.get("taskListId"))), q)],
+    ["PATCH", /^\/tasks\/([^/]+)\/task\/([^/]+)$/, ([inst, id], q, body) => {
+      const task = state.tasks.find(t => t.id === id && t.installationId === inst);
+      if (!task) return notFound("Task");
+      Object.assign(task, body);
+      return reply(200, task);
+    }]
+  ];
+
+  // Scripted failures go first; `match` is a substring of "METHOD /path".
+  function injectedFailure(method, path) {
+    const key = `${method} ${path}`;
+    const rule = scripted.find(r => !r.match || key.includes(r.match));
+    if (rule) {
+      if (--rule.count <= 0) scripted.splice(scripted.indexOf(rule), 1);
+      return rule.status;
+    }
+    if (failureRate > 0 && Math.random() < failureRate) {
+      return failureStatuses[Math.floor(Math.random() * failureStatuses.length)];
+    }
+    return null;
+  }
+
+  function handle(method, path, query, body) {
+    const status = injectedFailure(method, path);
+    if (status === 429) return reply(429, { error: "Too many requests (sandbox)" }, { "Retry-After": "1" });
+    if (status) return reply(status, { error: `Injected failure (sandbox)` });
+
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === method && pattern.exec(path);
+      if (match) return handler(match.slice(1).map(decodeURIComponent), query, body || {});
+    }
+    return reply(404, { error: `Sandbox has no route for ${method} ${path}` });
+  }
+
+  // fetch() signature, as the API client expects.
+  async function sandboxFetch(url, options = {}) {
+    if (options.signal?.aborted) throw Object.assign(new Error("The operation was aborted"), { name: "AbortError" });
+    if (latencyMs) await delay(latencyMs);
+    const { pathname, searchParams } = new URL(url);
+    const method = (options.method || "GET").toUpperCase();
+    const body = options.body ? JSON.parse(options.body) : null;
+    const res = handle(method, pathname, searchParams, body);
+    const text = res.body === null ? null : JSON.stringify(res.body);
+    return new Response(text, { status: res.status, headers: { "Content-Type": "application/json", ...res.headers } });
+  }
+
+  // Makes the next `count` requests matching `match` fail with `status`.
+  function failNext({ match = null, status = 503, count = 1 } = {}) {
+    scripted.push({ match, status, count });
+  }
+
+  return { state, fetch: sandboxFetch, failNext };
+}
+
+module.exports = { SANDBOX_GROUP_ID, createSandbox };
@@ -0,0 +1,62 @@
+const XLSX = require("xlsx");
+const { parseCSV, formatCSV } = require("./csv");
+
+// --- SPREADSHEET UPLOADS ---
+// Reads an uploaded CSV or XLSX file into { headers, rows, lines } where each
+// row is an array of trimmed strings and lines[i] is the file line (or sheet
+// row) rows[i] came from. The first row is treated as a header row unless it
+// looks like data (every cell numeric), in which case generic "Column N"
+// headers are used.
+
+function isSpreadsheet(file) {
+  const name = (file.originalname || "").toLowerCase();
+  return name.endsWith(".xlsx") || name.endsWith(".xls") ||
+    file.mimetype === "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+}
+
+function readGrid(file) {
+  if (isSpreadsheet(file)) {
+    // Only the first sheet is used, so don't parse the others
+    const workbook = XLSX.read(file.buffer, { type: "buffer", sheets: 0 });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const grid = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "" });
+    return grid
+      .map((row, i) => ({ line: i + 1, cells: row.map(cell => String(cell).trim()) }))
+      .filter(row => row.cells.some(cell => cell !== ""));
+  }
+  return parseCSV(file.buffer).records.map(r => ({ line: r.line, cells: r.fields }));
+}
+
+function readTable(file) {
+  const grid = readGrid(file);
+  if (grid.length === 0) return { headers: [], rows: [], lines: [] };
+
+  const width = Math.max(...grid.map(r => r.cells.length));
+  const first = grid[0].cells;
+  const looksLikeData = first.every(cell => cell === "" || /^\d+$/.test(cell));
+  const headers = looksLikeData
+    ? Array.from({ length: width }, (_, i) => `Column ${i + 1}`)
+    : Array.from({ length: width }, (_, i) => first[i] || `Column ${i + 1}`);
+  const body = looksLikeData ? grid : grid.slice(1);
+  const rows = body.map(r => headers.map((_, i) => r.cells[i] || ""));
+
+  return { headers, rows, lines: body.map(r => r.line) };
+}
+
+// --- SPREADSHEET DOWNLOADS ---
+// Writes rows (arrays of cells, header first) as a CSV or XLSX file. XLSX
+// cells keep their type, so counts stay numbers in the spreadsheet.
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8" },
+  xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" }
+};
+
+function writeTable(rows, format, sheetName = "Sheet1") {
+  if (format === "csv") return Buffer.from(formatCSV(rows), "utf8");
+  const workbook = XLSX.utils.book_new();
+  // Sheet names are limited to 31 characters and can't contain []:*?/\
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName.replace(/[[\]:*?/\\]/g, " ").slice(0, 31));
+  return XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+}
+
+module.exports = { EXPORT_FORMATS, readTable, isSpreadsheet, writeTable };
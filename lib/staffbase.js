@@ -0,0 +1,150 @@
+// --- STAFFBASE API CLIENT ---
+// Every call to Staffbase goes through one client so rate limits, slow
+// responses and flaky connections are handled the same way everywhere:
+//   - at most `concurrency` requests are in flight at once
+//   - each attempt is aborted after `timeoutMs`
+//   - 429s are retried for any method; 5xx, timeouts and network errors only
+//     for idempotent methods (a POST may have been applied even though the
+//     response was lost)
+//   - retries back off exponentially with jitter, or wait as long as the
+//     Retry-After header asks
+
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+const MAX_BACKOFF_MS = 30 * 1000;
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A failed Staffbase call. `status` is what a route should answer with (502:
+// the upstream failed); `apiStatus` is Staffbase's own status, null when no
+// response arrived (`code` "TIMEOUT" or "NETWORK").
+class StaffbaseError extends Error {
+  constructor({ method, path, apiStatus = null, code = "HTTP", body = null, attempts = 1, retryable = false, message }) {
+    super(message || `API ${apiStatus}: ${body}`);
+    this.name = "StaffbaseError";
+    this.status = 502;
+    this.method = method;
+    this.path = path;
+    this.apiStatus = apiStatus;
+    this.code = code;
+    this.body = body;
+    this.attempts = attempts;
+    this.retryable = retryable;
+  }
+}
+
+const isNotFound = (err) => err instanceof StaffbaseError && err.apiStatus === 404;
+
+// Retry-After is either a number of seconds or an HTTP date.
+function retryAfterMs(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+}
+
+function backoffMs(attempt, baseDelayMs) {
+  const ceiling = Math.min(baseDelayMs * 2 ** attempt, MAX_BACKOFF_MS);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Counting semaphore: run(fn) waits for a free slot.
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  const release = () => {
+    active--;
+    if (waiting.length) waiting.shift()();
+  };
+  return async function run(fn) {
+    if (active >= max) await new Promise(resolve => waiting.push(resolve));
+    active++;
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  };
+}
+
+function createClient({ baseUrl, token, timeoutMs = 30000, maxRetries = 4, baseDelayMs = 500, concurrency = 8, fetchImpl = fetch }) {
+  const limit = createLimiter(concurrency);
+
+  // One attempt; resolves to { res, text } or throws a StaffbaseError.
+  async function attempt(method, path, options, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+      const res = await fetchImpl(`${baseUrl}${path}`, { ...options, signal: controller.signal });
+      return { res, text: await res.text() };
+    } catch (err) {
+      const timedOut = err.name === "AbortError";
+      throw new StaffbaseError({
+        method, path,
+        code: timedOut ? "TIMEOUT" : "NETWORK",
+        retryable: IDEMPOTENT_METHODS.includes(method),
+        message: timedOut ? `API timeout after ${timeout}ms: ${method} ${path}` : `API request failed: ${method} ${path}: ${err.message}`
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function request(method, path, body, customHeaders = {}, { timeout = timeoutMs } = {}) {
+    const options = {
+      method,
+      headers: {
+        "Authorization": `Basic ${token}`,
+        "Content-Type": "application/json",
+        ...customHeaders
+      }
+    };
+    if (body) options.body = JSON.stringify(body);
+
+    for (let attemptNo = 0; ; attemptNo++) {
+      let wait = null;
+      let failure;
+      try {
+        const { res, text } = await limit(() => attempt(method, path, options, timeout));
+        if (res.ok) return res.status === 204 || !text ? {} : JSON.parse(text);
+
+        const retryable = res.status === 429 || (res.status >= 500 && IDEMPOTENT_METHODS.includes(method));
+        failure = new StaffbaseError({ method, path, apiStatus: res.status, body: text, retryable });
+        wait = retryAfterMs(res.headers.get("retry-after"));
+      } catch (err) {
+        if (!(err instanceof StaffbaseError)) throw err;
+        failure = err;
+      }
+
+      failure.attempts = attemptNo + 1;
+      if (!failure.retryable || attemptNo >= maxRetries) {
+        console.error(`[API Error] ${method} ${path}: ${failure.message} (after ${failure.attempts} attempt(s))`);
+        throw failure;
+      }
+      wait = wait ?? backoffMs(attemptNo, baseDelayMs);
+      console.warn(`[API ${failure.apiStatus || failure.code}] ${method} ${path}: retrying in ${wait}ms`);
+      await delay(wait);
+    }
+  }
+
+  // Yields every item of an offset-paginated list endpoint (`{ data: [...] }`).
+  async function* paginate(path, { pageSize = 100, headers } = {}) {
+    const sep = path.includes("?") ? "&" : "?";
+    for (let offset = 0; ; offset += pageSize) {
+      const res = await request("GET", `${path}${sep}limit=${pageSize}&offset=${offset}`, null, headers);
+      const page = res.data || [];
+      yield* page;
+      if (page.length < pageSize) return;
+    }
+  }
+
+  async function collect(path, options) {
+    const all = [];
+    for await (const item of paginate(path, options)) all.push(item);
+    return all;
+  }
+
+  return { request, paginate, collect };
+}
+
+module.exports = { StaffbaseError, isNotFound, createClient };
@@ -0,0 +1,60 @@
+const fs = require("fs");
+const path = require("path");
+
+// --- LOCAL JSON STORE ---
+// Small file-backed collections under DATA_DIR (one JSON file per collection).
+// Reads and writes are synchronous so a read-modify-write can't interleave
+// with another request on the event loop.
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+function filePath(name) {
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+function load(name, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath(name), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[STORE] Could not read ${name}:`, e.message);
+    return fallback;
+  }
+}
+
+function save(name, data) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  const file = filePath(name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// Append-only logs (one JSON document per line), so adding an entry never
+// rewrites what is already there.
+function logPath(name) {
+  return path.join(DATA_DIR, `${name}.jsonl`);
+}
+
+function append(name, entry) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(logPath(name), JSON.stringify(entry) + "\n");
+}
+
+function loadLog(name) {
+  let text;
+  try {
+    text = fs.readFileSync(logPath(name), "utf8");
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`[STORE] Could not read ${name}:`, e.message);
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try { entries.push(JSON.parse(line)); }
+    catch (e) { console.warn(`[STORE] Skipping unreadable line in ${name}`); }
+  }
+  return entries;
+}
+
+module.exports = { DATA_DIR, load, save, append, loadLog };
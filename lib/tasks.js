@@ -0,0 +1,93 @@
+const { parseCSV, parseDate } = require("./csv");
+
+// --- TASK IMPORT ---
+// Turns an uploaded task CSV into task objects plus a line-by-line report.
+// Bad rows are reported and skipped; they never discard the rest of the file.
+
+// Header aliases (lower-cased, spaces/underscores removed) -> task field
+const COLUMN_ALIASES = {
+  title: ["title", "task", "tasktitle", "name", "actionitem"],
+  description: ["description", "desc", "details", "notes"],
+  dueDate: ["duedate", "due", "date", "deadline"],
+  priority: ["priority", "prio"]
+};
+const POSITIONAL_COLUMNS = ["title", "description", "dueDate", "priority"];
+const PRIORITIES = ["low", "normal", "medium", "high", "urgent"];
+const MAX_TITLE_LENGTH = 255;
+
+function normalizeHeader(h) {
+  return h.toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function columnFor(header) {
+  const key = normalizeHeader(header);
+  return Object.keys(COLUMN_ALIASES).find(col => COLUMN_ALIASES[col].includes(key)) || null;
+}
+
+// A first row counts as a header when it names a title column.
+function isHeaderRow(fields) {
+  return fields.some(f => columnFor(f) === "title");
+}
+
+function validateTask(raw, line) {
+  const errors = [];
+  const task = { title: raw.title || "", description: raw.description || "", dueDate: null };
+
+  if (!task.title) errors.push({ line, message: "Missing task title" });
+  else if (task.title.length > MAX_TITLE_LENGTH) errors.push({ line, message: `Title is longer than ${MAX_TITLE_LENGTH} characters` });
+
+  if (raw.dueDate) {
+    task.dueDate = parseDate(raw.dueDate);
+    if (!task.dueDate) errors.push({ line, message: `Unrecognized due date "${raw.dueDate}" (use YYYY-MM-DD, MM/DD/YYYY or DD.MM.YYYY)` });
+  }
+
+  if (raw.priority) {
+    const p = raw.priority.toLowerCase();
+    if (!PRIORITIES.includes(p)) errors.push({ line, message: `Unknown priority "${raw.priority}" (expected ${PRIORITIES.join(", ")})` });
+    else task.priority = p;
+  }
+
+  return { task, errors };
+}
+
+function importTasks(input) {
+  const report = { tasks: [], errors: [], warnings: [], delimiter: null, hasHeader: false, columns: [], totalRows: 0 };
+  const { delimiter, records } = parseCSV(input);
+  report.delimiter = delimiter;
+  if (records.length === 0) return report;
+
+  let columns = POSITIONAL_COLUMNS;
+  let rows = records;
+  if (isHeaderRow(records[0].fields)) {
+    report.hasHeader = true;
+    columns = records[0].fields.map(columnFor);
+    records[0].fields.forEach((h, i) => {
+      if (!columns[i]) report.warnings.push({ line: records[0].line, message: `Ignoring unknown column "${h}"` });
+    });
+    rows = records.slice(1);
+  }
+  report.columns = columns.filter(Boolean);
+  report.totalRows = rows.length;
+
+  rows.forEach(({ line, fields }) => {
+    if (!report.hasHeader && fields.length > POSITIONAL_COLUMNS.length) {
+      report.warnings.push({ line, message: `Ignoring ${fields.length - POSITIONAL_COLUMNS.length} extra field(s)` });
+    }
+    const raw = {};
+    columns.forEach((col, i) => { if (col && fields[i] !== undefined) raw[col] = fields[i]; });
+
+    const { task, errors } = validateTask(raw, line);
+    if (errors.length) report.errors.push(...errors);
+    else report.tasks.push(task);
+  });
+
+  // Staffbase tasks have no priority, so it only ever reaches the post
+  const prioritized = rows.find(r => columns.some((col, i) => col === "priority" && r.fields[i]));
+  if (prioritized) {
+    report.warnings.push({ line: prioritized.line, message: "Priority is only shown in the post's Action Items list; the store tasks themselves have no priority" });
+  }
+
+  return report;
+}
+
+module.exports = { importTasks, PRIORITIES };
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const store = require("./store");
+const { httpError } = require("./errors");
+const categories = require("./categories");
+
+// --- MESSAGE TEMPLATES ---
+// Saved form contents for recurring messages (monthly audit, planogram reset).
+// Dates are stored relative so a template stays valid month after month:
+//   deadlineOffsetDays - deadline = today + N days (null = no deadline)
+//   task.dueOffsetDays - due date = deadline + N days (e.g. -2 = two days
+//                        before the deadline), or today + N without a deadline
+// Title patterns may use {month}, {year}, {date}, {deadline} and {category}.
+
+const COLLECTION = "templates";
+const DAY = 24 * 60 * 60 * 1000;
+
+function loadAll() {
+  return store.load(COLLECTION, []);
+}
+
+function optionalInt(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n)) throw httpError(400, `${label} must be a whole number of days`);
+  return n;
+}
+
+function normalizeTemplate(input) {
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) throw httpError(400, "Template name is required");
+  if (input.tasks !== undefined && !Array.isArray(input.tasks)) throw httpError(400, "tasks must be an array");
+
+  const tasks = (input.tasks || []).map((t, i) => {
+    const title = String(t?.title || "").trim();
+    if (!title) throw httpError(400, `Task ${i + 1} needs a title`);
+    return {
+      title,
+      description: String(t.description || "").trim(),
+      dueOffsetDays: optionalInt(t.dueOffsetDays, `Task ${i + 1} due offset`)
+    };
+  });
+
+  return {
+    name,
+    titlePattern: String(input.titlePattern || "").trim(),
+    category: input.category ? categories.resolveCategoryName(input.category) : "",
+    body: String(input.body || ""),
+    deadlineOffsetDays: optionalInt(input.deadlineOffsetDays, "Deadline offset"),
+    tasks,
+    audienceId: input.audienceId ? String(input.audienceId) : null,
+    storeIds: Array.isArray(input.storeIds) ? [...new Set(input.storeIds.map(String))] : []
+  };
+}
+
+function assertUniqueName(all, name, exceptId) {
+  if (all.some(t => t.id !== exceptId && t.name.toLowerCase() === name.toLowerCase())) {
+    throw httpError(409, `A template named "${name}" already exists`);
+  }
+}
+
+function listTemplates() {
+  return loadAll().sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function getTemplate(id) {
+  const template = loadAll().find(t => t.id === id);
+  if (!template) throw httpError(404, "Template not found");
+  return template;
+}
+
+function createTemplate(input) {
+  const all = loadAll();
+  const template = {
+    id: crypto.randomUUID(),
+    ...normalizeTemplate(input),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  assertUniqueName(all, template.name, null);
+  all.push(template);
+  store.save(COLLECTION, all);
+  return template;
+}
+
+// Fields left out of `input` keep their current values.
+function updateTemplate(id, input) {
+  const all = loadAll();
+  const index = all.findIndex(t => t.id === id);
+  if (index === -1) throw httpError(404, "Template not found");
+  const updated = { ...all[index], ...normalizeTemplate({ ...all[index], ...input }), updatedAt: new Date().toISOString() };
+  assertUniqueName(all, updated.name, id);
+  all[index] = updated;
+  store.save(COLLECTION, all);
+  return updated;
+}
+
+function deleteTemplate(id) {
+  const all = loadAll();
+  const remaining = all.filter(t => t.id !== id);
+  if (remaining.length === all.length) throw httpError(404, "Template not found");
+  store.save(COLLECTION, remaining);
+}
+
+// --- APPLYING A TEMPLATE ---
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  return isoDay(new Date(Date.parse(`${day}T00:00:00Z`) + n * DAY));
+}
+
+function expandTitle(pattern, { today, deadline, category }) {
+  const date = new Date(`${today}T00:00:00Z`);
+  const values = {
+    month: date.toLocaleString("en-US", { month: "long", timeZone: "UTC" }),
+    year: String(date.getUTCFullYear()),
+    date: today,
+    deadline: deadline || "",
+    category: category || ""
+  };
+  return pattern.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Turns a template into concrete form values for `today` (YYYY-MM-DD).
+function applyTemplate(template, today = isoDay(new Date())) {
+  const deadline = template.deadlineOffsetDays === null ? null : addDays(today, template.deadlineOffsetDays);
+  const anchor = deadline || today;
+  return {
+    title: expandTitle(template.titlePattern, { today, deadline, category: template.category }),
+    category: template.category,
+    body: template.body,
+    deadline,
+    tasks: template.tasks.map(t => ({
+      title: t.title,
+      description: t.description,
+      dueDate: t.dueOffsetDays === null ? null : addDays(anchor, t.dueOffsetDays)
+    })),
+    audienceId: template.audienceId,
+    storeIds: template.storeIds
+  };
+}
+
+module.exports = { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, applyTemplate };
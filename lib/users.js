@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- PORTAL USERS ---
+// Local accounts for the portal itself (not Staffbase users). Passwords are
+// stored as scrypt hashes with a per-user salt; hashes never leave this module.
+
+const COLLECTION = "users";
+// Ordered from least to most privileged; a role includes everything below it.
+const ROLES = ["viewer", "author", "admin"];
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+function loadAll() {
+  return store.load(COLLECTION, []);
+}
+
+function publicUser({ id, username, role, createdAt, updatedAt }) {
+  return { id, username, role, createdAt, updatedAt };
+}
+
+const scrypt = promisify(crypto.scrypt);
+// Compared against when the username is unknown, so timing doesn't tell
+const NO_USER_PASSWORD = { salt: crypto.randomBytes(16).toString("hex"), hash: "00".repeat(KEY_LENGTH) };
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return { salt, hash };
+}
+
+function normalizeUsername(username) {
+  const u = typeof username === "string" ? username.trim().toLowerCase() : "";
+  if (!u) throw httpError(400, "Username is required");
+  if (!/^[a-z0-9._@-]+$/.test(u)) throw httpError(400, "Username may only contain letters, digits and . _ @ -");
+  return u;
+}
+
+function normalizePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return password;
+}
+
+function normalizeRole(role) {
+  if (!ROLES.includes(role)) throw httpError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  return role;
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// The last admin can't be demoted or removed, or nobody could manage accounts.
+function assertAdminRemains(all) {
+  if (!all.some(u => u.role === "admin")) throw httpError(409, "At least one admin account is required");
+}
+
+function listUsers() {
+  return loadAll().map(publicUser).sort((a, b) => a.username.localeCompare(b.username));
+}
+
+function getUser(id) {
+  const user = loadAll().find(u => u.id === id);
+  return user ? publicUser(user) : null;
+}
+
+function createUser({ username, password, role }) {
+  const all = loadAll();
+  const name = normalizeUsername(username);
+  if (all.some(u => u.username === name)) throw httpError(409, `A user named "${name}" already exists`);
+  const user = {
+    id: crypto.randomUUID(),
+    username: name,
+    role: normalizeRole(role || "viewer"),
+    password: hashPassword(normalizePassword(password)),
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  all.push(user);
+  store.save(COLLECTION, all);
+  return publicUser(user);
+}
+
+// Changes the role and/or resets the password; omitted fields are left unchanged.
+function updateUser(id, { role, password }) {
+  const all = loadAll();
+  const user = all.find(u => u.id === id);
+  if (!user) throw httpError(404, "User not found");
+  if (role !== undefined) user.role = normalizeRole(role);
+  if (password !== undefined) user.password = hashPassword(normalizePassword(password));
+  assertAdminRemains(all);
+  user.updatedAt = new Date().toISOString();
+  store.save(COLLECTION, all);
+  return publicUser(user);
+}
+
+function deleteUser(id) {
+  const all = loadAll();
+  const remaining = all.filter(u => u.id !== id);
+  if (remaining.length === all.length) throw httpError(404, "User not found");
+  assertAdminRemains(remaining);
+  store.save(COLLECTION, remaining);
+}
+
+// Resolves to the public user for valid credentials, otherwise null. Unknown
+// usernames still pay for a hash so timing doesn't reveal which accounts exist.
+// The hash runs off the event loop, so sign-ins don't hold up other requests.
+async function verifyCredentials(username, password) {
+  const name = typeof username === "string" ? username.trim().toLowerCase() : "";
+  const user = loadAll().find(u => u.username === name);
+  const pw = typeof password === "string" ? password : "";
+  const { salt, hash } = user ? user.password : NO_USER_PASSWORD;
+  const candidate = await scrypt(pw, salt, KEY_LENGTH);
+  const match = crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+  return user && match ? publicUser(user) : null;
+}
+
+// First start: create the initial admin from ADMIN_USERNAME / ADMIN_PASSWORD.
+function bootstrapAdmin({ username, password }) {
+  if (loadAll().length > 0) return null;
+  if (!username || !password) {
+    console.warn("[AUTH] No portal users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.");
+    return null;
+  }
+  const admin = createUser({ username, password, role: "admin" });
+  console.log(`[AUTH] Created initial admin "${admin.username}"`);
+  return admin;
+}
+
+module.exports = {
+  ROLES, hasRole, listUsers, getUser, createUser, updateUser, deleteUser, verifyCredentials, bootstrapAdmin
+};
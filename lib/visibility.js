@@ -0,0 +1,62 @@
+const store = require("./store");
+const { httpError } = require("./errors");
+
+// --- VISIBILITY RULES ---
+// Who besides the targeted stores can see a channel. Each rule adds one
+// Staffbase group (all its members) or one user, either to every channel
+// (category "*") or only to channels of one category. Rules live in the local
+// store so admins can change them without a redeploy.
+
+const COLLECTION = "visibility";
+const ALL_CATEGORIES = "*";
+const RULE_TYPES = ["group", "user"];
+
+// The Ops group; also the default reminder escalation group, and seeded in the
+// sandbox so the defaults reach somebody there.
+const OPS_GROUP_ID = "692a1bc3f912873d71f98e39";
+
+// Seeded from the Ops group / fixed Ops IDs that used to be hardcoded.
+const DEFAULT_RULES = [
+  { category: ALL_CATEGORIES, type: "group", id: OPS_GROUP_ID, name: "Ops group" },
+  { category: ALL_CATEGORIES, type: "user", id: "691ca9ba71a3fe45bbe2c8ba", name: "Ops" },
+  { category: ALL_CATEGORIES, type: "user", id: "691e295f4808c62fcbda1638", name: "Ops" },
+  { category: ALL_CATEGORIES, type: "user", id: "691e2976bae4ad46ecc44b37", name: "Ops" }
+];
+
+function getRules() {
+  return store.load(COLLECTION, { rules: DEFAULT_RULES }).rules;
+}
+
+function normalizeRule(rule, index) {
+  const r = {
+    category: String(rule?.category || "").trim(),
+    type: String(rule?.type || "").trim(),
+    id: String(rule?.id || "").trim(),
+    name: String(rule?.name || "").trim()
+  };
+  if (!r.category) throw httpError(400, `Rule ${index + 1}: category is required (use "*" for all)`);
+  if (!RULE_TYPES.includes(r.type)) throw httpError(400, `Rule ${index + 1}: type must be "group" or "user"`);
+  if (!r.id) throw httpError(400, `Rule ${index + 1}: a Staffbase ${r.type} ID is required`);
+  return r;
+}
+
+function saveRules(rules) {
+  if (!Array.isArray(rules)) throw httpError(400, "rules must be an array");
+  const normalized = rules.map(normalizeRule);
+  const seen = new Set();
+  const unique = normalized.filter(r => {
+    const key = `${r.category}|${r.type}|${r.id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  store.save(COLLECTION, { rules: unique });
+  return unique;
+}
+
+// Rules that apply to a channel of `category`: the global ones plus its own.
+function rulesFor(category) {
+  return getRules().filter(r => r.category === ALL_CATEGORIES || r.category === category);
+}
+
+module.exports = { ALL_CATEGORIES, OPS_GROUP_ID, getRules, saveRules, rulesFor };
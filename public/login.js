@@ -0,0 +1,24 @@
+const loginForm = document.getElementById("loginForm");
+const status = document.getElementById("status");
+
+loginForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  status.textContent = "";
+  status.className = "";
+  try {
+    const res = await fetch("/api/auth/login", {
+      method: "POST",
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById("username").value,
+        password: document.getElementById("password").value
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Sign-in failed");
+    location.replace("/");
+  } catch (err) {
+    status.textContent = "✗ " + err.message;
+    status.className = "status-error";
+  }
+});
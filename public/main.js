@@ -7,12 +7,103 @@ const profileCsvFileName = document.getElementById("profileCsvFileName");
 // File input listeners
 const taskCsvInput = document.getElementById("taskCsv");
 const taskCsvFileName = document.getElementById("taskCsvFileName");
+const taskCsvReport = document.getElementById("taskCsvReport");
+let taskCsvImport = null; // Last validation report for the selected file
+
+// --- HTML ESCAPING ---
+// Anything typed by a user or read from Staffbase goes through this before it
+// is interpolated into innerHTML. Only the post content preview is trusted,
+// because the server already ran it through its sanitizer allow-list.
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+// --- SESSION & ROLES ---
+// The page itself is public; every /api call needs a session. Controls the
+// signed-in role can't use are hidden via the body's role-* class (author-only,
+// admin-only); the server enforces the same rules.
+let currentUser = null;
+let roles = ["viewer", "author", "admin"];
+
+function redirectToLogin() {
+  location.replace("/login.html");
+}
+
+function hasRole(role) {
+  return !!currentUser && roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+async function loadCurrentUser() {
+  const res = await fetch("/api/auth/me", { cache: "no-store" });
+  if (!res.ok) {
+    redirectToLogin();
+    return null;
+  }
+  const data = await res.json();
+  roles = data.roles;
+  return data.user;
+}
+
+function applyRole() {
+  document.body.classList.add(`role-${currentUser.role}`);
+  document.getElementById("currentUser").textContent = `${currentUser.username} (${currentUser.role})`;
+  document.getElementById("viewerNotice").style.display = hasRole("author") ? "none" : "block";
+}
+
+document.getElementById("logoutBtn").addEventListener("click", async () => {
+  await fetch("/api/auth/logout", { method: "POST" });
+  redirectToLogin();
+});
+
 if (taskCsvInput) {
   taskCsvInput.addEventListener("change", () => {
     taskCsvFileName.textContent = taskCsvInput.files.length > 0 ? taskCsvInput.files[0].name : "No file selected";
+    validateTaskCsv();
   });
 }
 
+// --- TASK CSV VALIDATION ---
+async function validateTaskCsv() {
+  taskCsvImport = null;
+  taskCsvReport.style.display = "none";
+  const file = taskCsvInput.files[0];
+  if (!file) return;
+
+  taskCsvReport.className = "import-report";
+  taskCsvReport.style.display = "block";
+  taskCsvReport.textContent = "Checking file...";
+
+  try {
+    const formData = new FormData();
+    formData.append("taskCsv", file);
+    const res = await fetch("/api/tasks/import", { method: "POST", body: formData });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not read file");
+    taskCsvImport = data;
+    renderTaskCsvReport(data);
+  } catch (err) {
+    taskCsvReport.className = "import-report has-errors";
+    taskCsvReport.textContent = "✗ " + err.message;
+  }
+}
+
+function renderTaskCsvReport(report) {
+  const delimiterName = { ";": "semicolon", ",": "comma", "\t": "tab" }[report.delimiter] || report.delimiter;
+  const issues = [
+    ...report.errors.map(e => `<li class="import-error">Line ${e.line}: ${escapeHtml(e.message)}</li>`),
+    ...report.warnings.map(w => `<li class="import-warning">Line ${w.line}: ${escapeHtml(w.message)}</li>`)
+  ].join("");
+
+  taskCsvReport.className = `import-report${report.errors.length ? " has-errors" : ""}`;
+  taskCsvReport.innerHTML = `
+    <div><strong>${report.errors.length ? "⚠️" : "✓"} ${report.tasks.length} of ${report.totalRows} rows ready</strong>
+      <span class="sub-label" style="display:inline;">(${delimiterName}-separated, ${report.hasHeader ? "header row detected" : "no header row"})</span></div>
+    ${report.errors.length ? `<div class="import-error">${report.errors.length} row(s) will be skipped. Fix the file and select it again to include them.</div>` : ""}
+    ${issues ? `<ul>${issues}</ul>` : ""}
+  `;
+}
+
 // --- DYNAMIC TASK FORM LOGIC ---
 const manualTasksContainer = document.getElementById("manualTasksContainer");
 const addTaskBtn = document.getElementById("addTaskBtn");
@@ -68,6 +159,53 @@ function getManualTasks() {
     return tasks;
 }
 
+// Replaces the task rows with `tasks` (always leaving at least one row).
+function setManualTasks(tasks) {
+    manualTasksContainer.innerHTML = "";
+    if (tasks.length === 0) addTaskRow();
+    tasks.forEach(t => {
+        addTaskRow();
+        const row = manualTasksContainer.lastElementChild;
+        row.querySelector('.t-title').value = t.title || '';
+        row.querySelector('.t-desc').value = t.description || '';
+        row.querySelector('.t-date').value = t.dueDate ? t.dueDate.slice(0, 10) : '';
+    });
+}
+
+// --- CATEGORY REGISTRY ---
+// Categories come from /api/categories and drive the create form select, the
+// filter select, the legend and the category colors in the Messages list.
+let categories = [];
+const FALLBACK_COLOR = "#95a5a6";
+
+function categoryColor(name) {
+  const cat = categories.find(c => c.name === name);
+  return cat ? cat.color : FALLBACK_COLOR;
+}
+
+async function loadCategories() {
+  try {
+    const res = await fetch("/api/categories");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load categories");
+    categories = data.categories;
+  } catch (err) {
+    console.error(err);
+    status.textContent = "Error loading categories: " + err.message;
+    status.className = "status-error";
+    return;
+  }
+
+  const selectable = categories.filter(c => c.selectable);
+  const option = c => `<option value="${escapeHtml(c.name)}">${escapeHtml(c.name)}</option>`;
+  const options = selectable.map(option).join("");
+  document.getElementById("department").innerHTML = `<option value="">Select a category</option>${options}`;
+  document.getElementById("filterDepartment").innerHTML = `<option value="">All</option>${categories.map(option).join("")}`;
+  document.getElementById("categoryLegend").innerHTML = selectable.map(c =>
+    `<div class="legend-item"><span class="color-dot" style="background:${escapeHtml(c.color)}"></span>${escapeHtml(c.shortName)}</div>`
+  ).join("");
+}
+
 // --- SMART SEARCH & PAGINATION LOGIC ---
 let validStores = [];
 let currentPage = 1;
@@ -111,29 +249,7 @@ async function verifyStores() {
     const data = await res.json();
     if (!res.ok) throw new Error(data.error || "Verification failed");
 
-    validStores = data.foundUsers;
-    const notFoundCount = data.notFoundIds.length;
-    
-    if (notFoundCount > 0) {
-        const errorList = data.notFoundIds.join(', ');
-        if (validStores.length === 0) {
-             status.textContent = `✗ No valid stores found. IDs not found: ${errorList}`;
-             status.className = "status-error";
-        } else {
-             status.textContent = `⚠️ Warning: ${notFoundCount} IDs not found: ${errorList}`;
-             status.className = "status-error"; 
-        }
-    } else if (validStores.length > 0) {
-        status.textContent = "✓ All stores verified successfully.";
-        status.className = "status-success";
-    }
-
-    if (validStores.length > 0) {
-      resultsContainer.style.display = 'block';
-      currentPage = 1;
-      renderStoreTable();
-      countMsg.textContent = `✓ Found ${validStores.length} valid stores ready for targeting.`;
-    } 
+    showVerifiedStores(data.foundUsers, data.notFoundIds);
 
   } catch (err) {
     status.textContent = "Error: " + err.message;
@@ -144,6 +260,260 @@ async function verifyStores() {
   }
 }
 
+// Renders a verification result (from /api/verify-users or a loaded audience).
+function showVerifiedStores(foundUsers, notFoundIds) {
+  const resultsContainer = document.getElementById('resultsContainer');
+  const countMsg = document.getElementById('storeCountMsg');
+
+  validStores = foundUsers;
+  const notFoundCount = notFoundIds.length;
+  
+  if (notFoundCount > 0) {
+      const errorList = notFoundIds.join(', ');
+      if (validStores.length === 0) {
+           status.textContent = `✗ No valid stores found. IDs not found: ${errorList}`;
+           status.className = "status-error";
+      } else {
+           status.textContent = `⚠️ Warning: ${notFoundCount} IDs not found: ${errorList}`;
+           status.className = "status-error"; 
+      }
+  } else if (validStores.length > 0) {
+      status.textContent = "✓ All stores verified successfully.";
+      status.className = "status-success";
+  }
+
+  if (validStores.length > 0) {
+    resultsContainer.style.display = 'block';
+    currentPage = 1;
+    renderStoreTable();
+    countMsg.textContent = `✓ Found ${validStores.length} valid stores ready for targeting.`;
+  } 
+}
+
+// --- SAVED AUDIENCES ---
+const audienceSelect = document.getElementById("audienceSelect");
+const audienceMsg = document.getElementById("audienceMsg");
+
+async function loadAudienceOptions(selectedId) {
+  try {
+    const res = await fetch("/api/audiences", { cache: "no-store" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load audiences");
+    audienceSelect.innerHTML = '<option value="">Saved audiences...</option>' +
+      data.audiences.map(a => `<option value="${escapeHtml(a.id)}">${escapeHtml(a.name)} (${a.storeCount})</option>`).join("");
+    if (selectedId) audienceSelect.value = selectedId;
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+}
+
+// Small JSON fetch helper for the CRUD endpoints; throws the server's error message.
+async function apiRequest(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (res.status === 401) redirectToLogin();
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+audienceSelect.addEventListener("change", async () => {
+  audienceMsg.innerHTML = "";
+  const id = audienceSelect.value;
+  if (!id) return;
+  try {
+    const data = await apiRequest(`/api/audiences/${id}`, "GET");
+    document.getElementById('storeInput').value = data.audience.storeIds.join("\n");
+    showVerifiedStores(data.foundUsers, data.notFoundIds);
+    if (data.notFoundIds.length > 0) {
+      audienceMsg.innerHTML = `${data.notFoundIds.length} member(s) of "${escapeHtml(data.audience.name)}" no longer exist. <button type="button" class="post-link" id="pruneAudienceBtn" style="margin:0;">Remove them from the audience</button>`;
+      document.getElementById("pruneAudienceBtn").addEventListener("click", async () => {
+        try {
+          await apiRequest(`/api/audiences/${id}`, "PATCH", { storeIds: data.foundUsers.map(u => u.csvId) });
+          audienceMsg.textContent = "✓ Missing members removed.";
+          loadAudienceOptions(id);
+        } catch (err) { audienceMsg.textContent = "Error: " + err.message; }
+      });
+    }
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("saveAudienceBtn").addEventListener("click", async () => {
+  if (validStores.length === 0) {
+    audienceMsg.textContent = "Verify some stores first, then save them as an audience.";
+    return;
+  }
+  const name = prompt(`Save ${validStores.length} verified stores as audience:`);
+  if (!name) return;
+  try {
+    const data = await apiRequest("/api/audiences", "POST", { name, storeIds: validStores.map(s => s.csvId) });
+    audienceMsg.textContent = `✓ Saved "${data.audience.name}".`;
+    loadAudienceOptions(data.audience.id);
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("updateAudienceBtn").addEventListener("click", async () => {
+  const id = audienceSelect.value;
+  if (!id || validStores.length === 0) {
+    audienceMsg.textContent = "Select an audience and verify stores to update it with.";
+    return;
+  }
+  if (!confirm(`Replace this audience's stores with the ${validStores.length} verified stores?`)) return;
+  try {
+    await apiRequest(`/api/audiences/${id}`, "PATCH", { storeIds: validStores.map(s => s.csvId) });
+    audienceMsg.textContent = "✓ Audience updated.";
+    loadAudienceOptions(id);
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("renameAudienceBtn").addEventListener("click", async () => {
+  const id = audienceSelect.value;
+  if (!id) return;
+  const current = audienceSelect.selectedOptions[0].textContent.replace(/ \(\d+\)$/, "");
+  const name = prompt("New audience name:", current);
+  if (!name || name === current) return;
+  try {
+    await apiRequest(`/api/audiences/${id}`, "PATCH", { name });
+    audienceMsg.textContent = "✓ Audience renamed.";
+    loadAudienceOptions(id);
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("deleteAudienceBtn").addEventListener("click", async () => {
+  const id = audienceSelect.value;
+  if (!id || !confirm("Delete this saved audience? Stores and messages are not affected.")) return;
+  try {
+    await apiRequest(`/api/audiences/${id}`, "DELETE");
+    audienceMsg.textContent = "✓ Audience deleted.";
+    loadAudienceOptions();
+  } catch (err) {
+    audienceMsg.textContent = "Error: " + err.message;
+  }
+});
+
+// Adds IDs to the paste box (keeping what's already there) and re-verifies,
+// so every store source ends up in the same verify table.
+function addStoreIds(ids) {
+  const input = document.getElementById('storeInput');
+  const existing = input.value.split(/[\s,]+/).filter(Boolean);
+  const merged = [...new Set([...existing, ...ids.map(String)])];
+  input.value = merged.join("\n");
+  verifyStores();
+}
+
+// --- IMPORT STORES FROM FILE ---
+const storeFileOptions = document.getElementById("storeFileOptions");
+const storeIdColumn = document.getElementById("storeIdColumn");
+const storeFileSample = document.getElementById("storeFileSample");
+let storeFileTable = null;
+
+profileCsvInput.addEventListener("change", async () => {
+  const file = profileCsvInput.files[0];
+  storeFileTable = null;
+  storeFileOptions.style.display = "none";
+  profileCsvFileName.textContent = file ? file.name : "No file selected";
+  if (!file) return;
+
+  try {
+    const formData = new FormData();
+    formData.append("profileCsv", file);
+    const res = await fetch("/api/stores/import", { method: "POST", body: formData });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not read file");
+
+    storeFileTable = data;
+    storeIdColumn.innerHTML = data.headers.map((h, i) => `<option value="${i}">${escapeHtml(h)}</option>`).join("");
+    storeIdColumn.value = data.suggestedColumn;
+    storeFileOptions.style.display = "block";
+    updateStoreFileSample();
+  } catch (err) {
+    status.textContent = "✗ Error: " + err.message;
+    status.className = "status-error";
+  }
+});
+
+storeIdColumn.addEventListener("change", updateStoreFileSample);
+
+function storeFileIds() {
+  const col = Number(storeIdColumn.value);
+  return [...new Set(storeFileTable.rows.map(r => r[col]).filter(Boolean))];
+}
+
+function updateStoreFileSample() {
+  const ids = storeFileIds();
+  storeFileSample.textContent = `${ids.length} IDs found, e.g. ${ids.slice(0, 5).join(", ")}`;
+}
+
+document.getElementById("addFileStoresBtn").addEventListener("click", () => {
+  if (storeFileTable) addStoreIds(storeFileIds());
+});
+
+// --- SELECT STORES BY PROFILE ATTRIBUTE ---
+const storeAttributeSource = document.getElementById("storeAttributeSource");
+const storeAttributeFilters = document.getElementById("storeAttributeFilters");
+let storeAttributesLoaded = false;
+
+storeAttributeSource.addEventListener("toggle", async () => {
+  if (!storeAttributeSource.open || storeAttributesLoaded) return;
+  try {
+    const res = await fetch("/api/stores/attributes");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load attributes");
+    storeAttributesLoaded = true;
+    storeAttributeFilters.innerHTML = data.attributes.map(a => `
+      <div>
+        <label>${escapeHtml(a.key)}</label>
+        <select multiple data-key="${escapeHtml(a.key)}">
+          ${a.values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join("")}
+        </select>
+      </div>`).join("") || '<span class="sub-label">No store attributes configured.</span>';
+  } catch (err) {
+    storeAttributeFilters.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("addAttributeStoresBtn").addEventListener("click", async (e) => {
+  const filters = {};
+  storeAttributeFilters.querySelectorAll("select[data-key]").forEach(sel => {
+    const values = [...sel.selectedOptions].map(o => o.value);
+    if (values.length) filters[sel.dataset.key] = values;
+  });
+
+  const btn = e.target;
+  btn.disabled = true;
+  try {
+    const res = await fetch("/api/stores/select", {
+      method: "POST",
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filters })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Selection failed");
+    if (data.storeIds.length === 0) {
+      status.textContent = "No stores match the selected attributes.";
+      status.className = "status-error";
+      return;
+    }
+    addStoreIds(data.storeIds);
+  } catch (err) {
+    status.textContent = "✗ Error: " + err.message;
+    status.className = "status-error";
+  } finally {
+    btn.disabled = false;
+  }
+});
+
 function renderStoreTable() {
   const tbody = document.getElementById('storeTableBody');
   tbody.innerHTML = '';
@@ -152,7 +522,7 @@ function renderStoreTable() {
   const pageData = validStores.slice(start, end);
 
   pageData.forEach(store => {
-    tbody.innerHTML += `<tr><td><code>${store.csvId}</code></td><td>${store.name}</td><td style="color:var(--se-green); font-weight:bold;">Active</td></tr>`;
+    tbody.innerHTML += `<tr><td><code>${escapeHtml(store.csvId)}</code></td><td>${escapeHtml(store.name)}</td><td style="color:var(--se-green); font-weight:bold;">Active</td></tr>`;
   });
 
   const maxPage = Math.ceil(validStores.length / ITEMS_PER_PAGE) || 1;
@@ -168,42 +538,336 @@ function changePage(direction) {
   renderStoreTable();
 }
 
-// --- FORM SUBMISSION ---
-form.addEventListener("submit", async (e) => {
-  e.preventDefault();
+// --- MESSAGE BODY (MARKDOWN) ---
+const bodyInput = document.getElementById("body");
+const bodyPreview = document.getElementById("bodyPreview");
+
+document.querySelectorAll(".body-tab").forEach(tab => {
+  tab.addEventListener("click", () => showBodyTab(tab.dataset.tab));
+});
+
+// The preview is rendered by the server so it matches the post exactly.
+async function showBodyTab(name) {
+  document.querySelectorAll(".body-tab").forEach(t => t.classList.toggle("active", t.dataset.tab === name));
+  bodyInput.style.display = name === "write" ? "block" : "none";
+  bodyPreview.style.display = name === "preview" ? "block" : "none";
+  if (name !== "preview") return;
+
+  bodyPreview.textContent = "Rendering...";
+  try {
+    const data = await apiRequest("/api/content/preview", "POST", { markdown: bodyInput.value });
+    bodyPreview.innerHTML = data.html || '<span class="sub-label">Nothing to preview.</span>';
+  } catch (err) {
+    bodyPreview.textContent = "Error: " + err.message;
+  }
+}
+
+// --- MESSAGE TEMPLATES ---
+const templateSelect = document.getElementById("templateSelect");
+const templateMsg = document.getElementById("templateMsg");
+const templateModal = document.getElementById("templateModal");
+const templateModalMsg = document.getElementById("templateModalMsg");
+const DAY_MS = 24 * 60 * 60 * 1000;
+let templateModalMode = "create";
+let templateList = [];
+
+function localToday() {
+  return new Date().toLocaleDateString("en-CA"); // YYYY-MM-DD in local time
+}
+
+function daysBetween(fromDay, toDay) {
+  return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / DAY_MS);
+}
+
+async function loadTemplateOptions(selectedId) {
+  try {
+    const data = await apiRequest("/api/templates", "GET");
+    templateList = data.templates;
+    templateSelect.innerHTML = '<option value="">Start from a template...</option>' +
+      data.templates.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.category ? ` · ${escapeHtml(t.category)}` : ""}</option>`).join("");
+    if (selectedId) templateSelect.value = selectedId;
+  } catch (err) {
+    templateMsg.textContent = "Error: " + err.message;
+  }
+}
+
+// Captures the form as a template, converting dates to relative offsets.
+function templateFromForm() {
+  const today = localToday();
+  const deadline = document.getElementById("deadline").value || null;
+  const anchor = deadline || today;
+  const includeAudience = document.getElementById("templateIncludeAudience").checked;
+  return {
+    name: document.getElementById("templateName").value.trim(),
+    titlePattern: document.getElementById("templateTitlePattern").value.trim(),
+    category: departmentSelect.value,
+    body: document.getElementById("body").value,
+    deadlineOffsetDays: deadline ? daysBetween(today, deadline) : null,
+    tasks: getManualTasks().map(t => ({
+      title: t.title,
+      description: t.description,
+      dueOffsetDays: t.dueDate ? daysBetween(anchor, t.dueDate) : null
+    })),
+    audienceId: includeAudience && audienceSelect.value ? audienceSelect.value : null,
+    storeIds: includeAudience && !audienceSelect.value ? validStores.map(s => s.csvId) : []
+  };
+}
+
+function openTemplateModal(mode) {
+  templateModalMode = mode;
+  templateModalMsg.textContent = "";
+  const current = mode === "update" ? (templateList.find(t => t.id === templateSelect.value)?.name || "") : "";
+  document.getElementById("templateModalTitle").textContent = mode === "update" ? "Update Template" : "Save Template";
+  document.getElementById("templateName").value = current;
+  document.getElementById("templateTitlePattern").value = document.getElementById("title").value.trim();
+  templateModal.style.display = "flex";
+}
+
+document.getElementById("saveTemplateBtn").addEventListener("click", () => openTemplateModal("create"));
+document.getElementById("updateTemplateBtn").addEventListener("click", () => {
+  if (!templateSelect.value) {
+    templateMsg.textContent = "Select a template to update it from the current form.";
+    return;
+  }
+  openTemplateModal("update");
+});
+document.getElementById("templateCancelBtn").addEventListener("click", () => {
+  templateModal.style.display = "none";
+});
+
+document.getElementById("templateConfirmBtn").addEventListener("click", async () => {
+  const body = templateFromForm();
+  try {
+    const data = templateModalMode === "update"
+      ? await apiRequest(`/api/templates/${templateSelect.value}`, "PATCH", body)
+      : await apiRequest("/api/templates", "POST", body);
+    templateModal.style.display = "none";
+    templateMsg.textContent = `✓ Template "${data.template.name}" saved.`;
+    loadTemplateOptions(data.template.id);
+  } catch (err) {
+    templateModalMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("deleteTemplateBtn").addEventListener("click", async () => {
+  const id = templateSelect.value;
+  if (!id || !confirm("Delete this template?")) return;
+  try {
+    await apiRequest(`/api/templates/${id}`, "DELETE");
+    templateMsg.textContent = "✓ Template deleted.";
+    loadTemplateOptions();
+  } catch (err) {
+    templateMsg.textContent = "Error: " + err.message;
+  }
+});
+
+templateSelect.addEventListener("change", async () => {
+  templateMsg.textContent = "";
+  const id = templateSelect.value;
+  if (!id) return;
+  try {
+    const { resolved } = await apiRequest(`/api/templates/${id}?today=${localToday()}`, "GET");
+    document.getElementById("title").value = resolved.title;
+    document.getElementById("body").value = resolved.body || "";
+    showBodyTab("write");
+    departmentSelect.value = resolved.category;
+    updateVisibilityInfo();
+    document.getElementById("deadline").value = resolved.deadline || "";
+    setManualTasks(resolved.tasks);
+
+    if (resolved.audienceId) {
+      if ([...audienceSelect.options].some(o => o.value === resolved.audienceId)) {
+        audienceSelect.value = resolved.audienceId;
+        audienceSelect.dispatchEvent(new Event("change"));
+      } else {
+        templateMsg.textContent = "⚠️ The template's saved audience no longer exists; pick target stores manually.";
+      }
+    } else if (resolved.storeIds.length > 0) {
+      document.getElementById("storeInput").value = resolved.storeIds.join("\n");
+      verifyStores();
+    }
+  } catch (err) {
+    templateMsg.textContent = "Error: " + err.message;
+  }
+});
+
+// --- PUBLISHING MODE ---
+// Shows the date/time picker only for "schedule" and makes it required then.
+function bindPublishModes(radioName, scheduleInput) {
+  document.querySelectorAll(`input[name="${radioName}"]`).forEach(radio => {
+    radio.addEventListener("change", () => {
+      const scheduling = radio.value === "schedule" && radio.checked;
+      scheduleInput.style.display = scheduling ? "block" : "none";
+      scheduleInput.required = scheduling;
+    });
+  });
+}
+bindPublishModes("publishMode", document.getElementById("scheduledAt"));
 
+function describePublishing(p) {
+  if (p.mode === "now") return `Publish immediately${p.notify ? " with push notification" : " without notification"}`;
+  if (p.mode === "schedule") return `Scheduled for ${new Date(p.scheduledAt).toLocaleString()}${p.notify ? " with push notification" : ""}`;
+  return "Saved as draft (not published)";
+}
+
+// --- VISIBILITY RULES ---
+const departmentSelect = document.getElementById("department");
+const visibilityInfo = document.getElementById("visibilityInfo");
+const visibilityModal = document.getElementById("visibilityModal");
+const visibilityRulesBody = document.getElementById("visibilityRulesBody");
+const visibilityMsg = document.getElementById("visibilityMsg");
+
+function describeVisibilityRules(rules) {
+  if (!rules.length) return "no additional groups or users";
+  return rules.map(r => r.type === "group"
+    ? `${r.name || r.id} (${r.memberCount} members)`
+    : (r.name || r.id)).join(", ");
+}
+
+async function updateVisibilityInfo() {
+  visibilityInfo.textContent = "";
+  try {
+    const res = await fetch(`/api/visibility/resolve?category=${encodeURIComponent(departmentSelect.value)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not resolve visibility");
+    visibilityInfo.textContent = `Also visible to: ${describeVisibilityRules(data.rules)} · ${data.accessorCount} people besides the stores.`;
+  } catch (err) {
+    visibilityInfo.textContent = "Could not load visibility rules: " + err.message;
+  }
+}
+
+departmentSelect.addEventListener("change", () => {
+  updateVisibilityInfo();
+  applyCategoryDefaultTasks();
+});
+
+// Pre-fills the category's default tasks, but never overwrites tasks the user typed.
+function applyCategoryDefaultTasks() {
+  const cat = categories.find(c => c.name === departmentSelect.value);
+  if (!cat || cat.defaultTasks.length === 0) return;
+  if (getManualTasks().length > 0) return;
+  setManualTasks(cat.defaultTasks);
+}
+
+function categoryOptions(selected) {
+  const categories = [...departmentSelect.options].map(o => o.value).filter(Boolean);
+  return [["*", "All categories"], ...categories.map(c => [c, c])]
+    .map(([value, label]) => `<option value="${escapeHtml(value)}" ${value === selected ? "selected" : ""}>${escapeHtml(label)}</option>`)
+    .join("");
+}
+
+function addVisibilityRuleRow(rule = { category: "*", type: "group", id: "", name: "" }) {
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td><select class="v-category">${categoryOptions(rule.category)}</select></td>
+    <td><select class="v-type">
+      <option value="group" ${rule.type === "group" ? "selected" : ""}>Group</option>
+      <option value="user" ${rule.type === "user" ? "selected" : ""}>User</option>
+    </select></td>
+    <td><input type="text" class="v-id" placeholder="Staffbase ID" value="${escapeHtml(rule.id)}"></td>
+    <td><input type="text" class="v-name" placeholder="Label (optional)" value="${escapeHtml(rule.name)}"></td>
+    <td><button type="button" class="btn-icon btn-remove" title="Remove">&times;</button></td>
+  `;
+  tr.querySelector(".btn-remove").addEventListener("click", () => tr.remove());
+  visibilityRulesBody.appendChild(tr);
+}
+
+document.getElementById("editVisibilityBtn").addEventListener("click", async () => {
+  visibilityMsg.textContent = "";
+  visibilityRulesBody.innerHTML = "";
+  visibilityModal.style.display = "flex";
+  try {
+    const res = await fetch("/api/visibility", { cache: "no-store" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load rules");
+    data.rules.forEach(addVisibilityRuleRow);
+  } catch (err) {
+    visibilityMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("addVisibilityRuleBtn").addEventListener("click", () => addVisibilityRuleRow());
+document.getElementById("visibilityCancelBtn").addEventListener("click", () => {
+  visibilityModal.style.display = "none";
+});
+
+document.getElementById("visibilitySaveBtn").addEventListener("click", async () => {
+  const rules = [...visibilityRulesBody.querySelectorAll("tr")].map(tr => ({
+    category: tr.querySelector(".v-category").value,
+    type: tr.querySelector(".v-type").value,
+    id: tr.querySelector(".v-id").value.trim(),
+    name: tr.querySelector(".v-name").value.trim()
+  })).filter(r => r.id);
+
+  try {
+    const res = await fetch("/api/visibility", {
+      method: "PUT",
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rules })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not save rules");
+    visibilityModal.style.display = "none";
+    updateVisibilityInfo();
+  } catch (err) {
+    visibilityMsg.textContent = "Error: " + err.message;
+  }
+});
+
+// --- FORM SUBMISSION ---
+function buildCreateFormData() {
   const taskCsvFile = document.getElementById("taskCsv").files[0];
   const title = document.getElementById("title").value.trim();
   const department = document.getElementById("department").value;
   const deadline = document.getElementById("deadline").value;
   const notify = document.getElementById("notify").checked;
+  const publishMode = form.querySelector('input[name="publishMode"]:checked').value;
+  const scheduledAt = document.getElementById("scheduledAt").value;
 
   // Gather Manual Tasks
   const manualTasks = getManualTasks();
 
+  const formData = new FormData();
+  const storeIds = validStores.map(s => s.csvId);
+  
+  formData.append("storeIds", JSON.stringify(storeIds));
+  formData.append("title", title);
+  formData.append("body", document.getElementById("body").value);
+  formData.append("teaser", document.getElementById("teaser").value.trim());
+  formData.append("department", department);
+  formData.append("deadline", deadline);
+  formData.append("notify", notify);
+  formData.append("publishMode", publishMode);
+  // datetime-local has no timezone; send it as an absolute ISO timestamp
+  if (publishMode === "schedule" && scheduledAt) {
+    formData.append("scheduledAt", new Date(scheduledAt).toISOString());
+  }
+  formData.append("manualTasks", JSON.stringify(manualTasks));
+  
+  if (taskCsvFile) {
+    formData.append("taskCsv", taskCsvFile);
+  }
+  return formData;
+}
+
+form.addEventListener("submit", async (e) => {
+  e.preventDefault();
+
   if (validStores.length === 0) {
     status.textContent = "Error: Please verify at least one valid store before creating a post.";
     status.className = "status-error";
     return;
   }
 
-  status.textContent = "Processing... Creating post and tasks.";
+  if (taskCsvImport && taskCsvImport.errors.length > 0) {
+    if (!confirm(`${taskCsvImport.errors.length} task CSV row(s) have errors and will be skipped. Continue anyway?`)) return;
+  }
+
+  status.textContent = "Processing... Starting rollout.";
   status.className = "status-processing";
 
   try {
-    const formData = new FormData();
-    const storeIds = validStores.map(s => s.csvId);
-    
-    formData.append("storeIds", JSON.stringify(storeIds));
-    formData.append("title", title);
-    formData.append("department", department);
-    formData.append("deadline", deadline);
-    formData.append("notify", notify);
-    formData.append("manualTasks", JSON.stringify(manualTasks));
-    
-    if (taskCsvFile) {
-      formData.append("taskCsv", taskCsvFile);
-    }
+    const formData = buildCreateFormData();
 
     const res = await fetch("/api/create", {
       method: "POST",
@@ -213,9 +877,7 @@ form.addEventListener("submit", async (e) => {
     const data = await res.json();
     if (!data.success) throw new Error(data.error || "Unknown error");
 
-    status.textContent = "✓ Success! Reloading...";
-    status.className = "status-success";
-    setTimeout(() => location.reload(), 1500);
+    trackJob(data.jobId);
 
   } catch (err) {
     status.textContent = "✗ Error: " + err.message;
@@ -223,79 +885,312 @@ form.addEventListener("submit", async (e) => {
   }
 });
 
-// --- PAST SUBMISSIONS LIST ---
-const filterDepartment = document.getElementById("filterDepartment");
-const filterTitle = document.getElementById("filterTitle");
-const filterStatus = document.getElementById("filterStatus");
-const filterStoreId = document.getElementById("filterStoreId"); // New
-const applyFilters = document.getElementById("applyFilters"); // New button used to trigger fetch
-const resetFilters = document.getElementById("resetFilters");
-const toggleFiltersBtn = document.getElementById("toggleFilters");
-const filtersContainer = document.getElementById("filtersContainer");
-
-let allItems = [];
+// --- ROLLOUT JOB PROGRESS ---
+const jobProgress = document.getElementById("jobProgress");
+const JOB_POLL_MS = 1000;
 
-async function loadPersistedItems() {
-  const storeIdVal = filterStoreId.value.trim();
-  let url = "/api/items";
-  if (storeIdVal) {
-      url += `?storeId=${encodeURIComponent(storeIdVal)}`;
+// Polls a job until it finishes, calling onUpdate with every snapshot.
+async function waitForJob(jobId, onUpdate) {
+  while (true) {
+    const res = await fetch(`/api/jobs/${jobId}`, { cache: "no-store" });
+    const job = await res.json();
+    if (!res.ok) throw new Error(job.error || "Lost track of job");
+    onUpdate(job);
+    if (job.status !== "running" && job.status !== "queued") return job;
+    await new Promise(resolve => setTimeout(resolve, JOB_POLL_MS));
   }
-  
-  // Show loading state if filtering
-  list.innerHTML = '<div style="text-align:center; padding:20px;">Loading...</div>';
+}
 
+async function trackJob(jobId) {
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  jobProgress.style.display = "block";
+
+  let job;
   try {
-    const res = await fetch(url);
+    job = await waitForJob(jobId, renderJobProgress);
+  } catch (err) {
+    status.textContent = "✗ Error: " + err.message;
+    status.className = "status-error";
+    return;
+  } finally {
+    submitBtn.disabled = false;
+  }
+
+  const p = job.progress;
+  if (job.status === "failed") {
+    status.textContent = `✗ ${job.type === "edit" ? "Edit" : "Rollout"} failed: ${job.error}`;
+    status.className = "status-error";
+  } else if (job.type === "edit" && (p.failed > 0 || job.result.removalsPending > 0)) {
+    status.textContent = `⚠️ Message updated, but ${p.failed} store(s) could not be updated. Store task lists that could not be removed are retried on the next edit.`;
+    status.className = "status-error";
+  } else if (job.type === "edit") {
+    status.textContent = `✓ Message updated. ${job.result.taskCount} tasks created, ${job.result.storesRemoved} store(s) removed.`;
+    status.className = "status-success";
+  } else if (p.failed > 0) {
+    status.textContent = `⚠️ Finished, but ${p.failed} of ${p.total} stores failed to receive tasks.`;
+    status.className = "status-error";
+  } else {
+    status.textContent = `✓ Success! ${job.result.taskCount} tasks created across ${p.done} stores.`;
+    status.className = "status-success";
+  }
+
+  if (job.result && job.result.stores.failed > 0) {
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.className = "post-link";
+    retryBtn.style.margin = "10px 0 0 0";
+    retryBtn.textContent = `Retry ${job.result.stores.failed} failed stores`;
+    retryBtn.addEventListener("click", () => retryFailedStores(job.result.channelId));
+    jobProgress.appendChild(retryBtn);
+  }
+  loadPersistedItems();
+}
+
+async function retryFailedStores(channelId) {
+  status.textContent = "Processing... Retrying failed stores.";
+  status.className = "status-processing";
+  try {
+    const res = await fetch(`/api/messages/${encodeURIComponent(channelId)}/retry`, { method: "POST" });
     const data = await res.json();
-    allItems = data.items || [];
-    filterAndRenderItems();
-  } catch (err) { 
-      console.error(err); 
-      list.innerHTML = '<div style="text-align:center; color:red;">Error loading items</div>';
+    if (!data.success) throw new Error(data.error || "Retry failed");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+    trackJob(data.jobId);
+  } catch (err) {
+    status.textContent = "✗ Error: " + err.message;
+    status.className = "status-error";
   }
 }
 
-function filterAndRenderItems() {
-  const dept = filterDepartment.value;
-  const txt = filterTitle.value.toLowerCase();
-  const stat = filterStatus.value;
-  
-  let filtered = allItems.filter(item => {
-    if (dept && item.department !== dept) return false;
-    if (txt && !item.title.toLowerCase().includes(txt)) return false;
-    if (stat && stat !== 'draft' && item.status.toLowerCase() !== stat) return false; 
-    return true;
-  });
+function renderJobProgress(job) {
+  const p = job.progress;
+  const finished = p.done + p.failed + p.skipped;
+  const pct = p.total ? Math.round((finished / p.total) * 100) : 0;
+  const stepIcon = { pending: "○", running: "◌", done: "✓", failed: "✗" };
+
+  if (job.status === "running") {
+    status.textContent = `Processing... ${finished} of ${p.total} stores handled.`;
+    status.className = "status-processing";
+  }
+
+  const failedStores = job.stores.filter(s => s.status === "failed");
+  const skippedStores = job.stores.filter(s => s.status === "skipped");
+
+  jobProgress.innerHTML = `
+    <div class="job-steps">
+      ${job.steps.map(s => `<span class="job-step job-step-${s.status}">${stepIcon[s.status]} ${escapeHtml(s.label)}</span>`).join("")}
+    </div>
+    <div class="job-bar"><div class="job-bar-fill" style="width:${pct}%"></div></div>
+    <div class="job-counts">
+      <span>Done: <strong>${p.done}</strong></span>
+      <span>Failed: <strong>${p.failed}</strong></span>
+      <span>Skipped: <strong>${p.skipped}</strong></span>
+      <span>Remaining: <strong>${p.remaining}</strong></span>
+    </div>
+    ${failedStores.length ? `<details open><summary>Failed stores (${failedStores.length})</summary>${failedStores.map(s => `<div><code>${escapeHtml(s.storeId)}</code> ${escapeHtml(s.error)}</div>`).join("")}</details>` : ""}
+    ${skippedStores.length ? `<details><summary>Skipped stores (${skippedStores.length})</summary>${skippedStores.map(s => `<div><code>${escapeHtml(s.storeId)}</code> ${escapeHtml(s.reason)}</div>`).join("")}</details>` : ""}
+  `;
+}
+
+// --- DRY-RUN PREVIEW ---
+const previewBtn = document.getElementById("previewBtn");
+const previewModal = document.getElementById("previewModal");
+const previewBody = document.getElementById("previewBody");
+
+previewBtn.addEventListener("click", async () => {
+  if (!form.reportValidity()) return;
+  if (validStores.length === 0) {
+    status.textContent = "Error: Please verify at least one valid store before previewing.";
+    status.className = "status-error";
+    return;
+  }
+
+  previewBtn.textContent = "Previewing...";
+  previewBtn.disabled = true;
+  status.textContent = "";
+  status.className = "";
+
+  try {
+    const formData = buildCreateFormData();
+    formData.append("dryRun", "true");
+
+    const res = await fetch("/api/create", { method: "POST", body: formData });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || "Preview failed");
+
+    renderPreview(data.preview);
+    previewModal.style.display = "flex";
+  } catch (err) {
+    status.textContent = "✗ Preview Error: " + err.message;
+    status.className = "status-error";
+  } finally {
+    previewBtn.textContent = "Preview";
+    previewBtn.disabled = false;
+  }
+});
+
+function renderPreview(preview) {
+  const b = preview.accessorBreakdown;
+  const taskRows = preview.tasks.map(t =>
+    `<li><strong>${escapeHtml(t.title)}</strong>${t.description ? ` – ${escapeHtml(t.description)}` : ""}${t.dueDate ? ` <span class="sub-label" style="display:inline;">(Due: ${new Date(t.dueDate).toLocaleDateString()})</span>` : ""}${t.priority ? ` <span class="sub-label" style="display:inline;">[${escapeHtml(t.priority)}]</span>` : ""}</li>`
+  ).join("");
+  const storeRows = (stores) => stores.map(s => `<code>${escapeHtml(s.storeId)}</code> ${escapeHtml(s.name)}`).join("<br>");
+
+  previewBody.innerHTML = `
+    <div class="preview-section">
+      <label>Channel</label>
+      <div>${escapeHtml(preview.channelName)}</div>
+    </div>
+    <div class="preview-section">
+      <label>Visible To (${preview.accessorIDs.length} accessors)</label>
+      <div class="sub-label">${b.stores} store users, plus ${escapeHtml(describeVisibilityRules(b.rules))} (duplicates merged)</div>
+      <details><summary>Show accessor IDs</summary><code class="preview-ids">${escapeHtml(preview.accessorIDs.join(", "))}</code></details>
+    </div>
+    <div class="preview-section">
+      <label>Post</label>
+      <div class="sub-label">${escapeHtml(preview.post.kicker)} · ${escapeHtml(preview.post.teaser)}</div>
+      <div class="sub-label"><strong>${describePublishing(preview.publishing)}</strong></div>
+      <div class="preview-post"><h4>${escapeHtml(preview.post.title)}</h4>${preview.post.content}</div>
+    </div>
+    <div class="preview-section">
+      <label>Tasks (${preview.tasks.length})</label>
+      ${preview.taskImport && preview.taskImport.errors.length ? `<div class="import-error">${preview.taskImport.errors.length} CSV row(s) skipped because of errors.</div>` : ""}
+      ${preview.tasks.length ? `<ul>${taskRows}</ul>` : '<div class="sub-label">No tasks will be created.</div>'}
+    </div>
+    <div class="preview-section">
+      <label>Stores Receiving Tasks (${preview.storesWithTasks.length})</label>
+      <div>${storeRows(preview.storesWithTasks) || '<span class="sub-label">None</span>'}</div>
+    </div>
+    <div class="preview-section">
+      <label>Stores Not Receiving Tasks (${preview.storesWithoutTasks.length})</label>
+      ${!preview.tasks.length ? '<div class="sub-label">No tasks defined.</div>'
+        : preview.autoProvision ? '<div class="sub-label">No Store task project was found for these stores; one will be created for each during the rollout.</div>'
+        : '<div class="sub-label">No matching Store task project was found for these stores.</div>'}
+      <div>${storeRows(preview.storesWithoutTasks) || '<span class="sub-label">None</span>'}</div>
+    </div>
+  `;
+}
+
+document.getElementById("previewCloseBtn").addEventListener("click", () => {
+  previewModal.style.display = "none";
+});
+document.getElementById("previewCreateBtn").addEventListener("click", () => {
+  previewModal.style.display = "none";
+  form.requestSubmit();
+});
+
+// --- PAST SUBMISSIONS LIST ---
+const filterDepartment = document.getElementById("filterDepartment");
+const filterTitle = document.getElementById("filterTitle");
+const filterStatus = document.getElementById("filterStatus");
+const filterStoreId = document.getElementById("filterStoreId"); // New
+const applyFilters = document.getElementById("applyFilters"); // New button used to trigger fetch
+const resetFilters = document.getElementById("resetFilters");
+const toggleFiltersBtn = document.getElementById("toggleFilters");
+const filtersContainer = document.getElementById("filtersContainer");
+const sortItems = document.getElementById("sortItems");
+const listPagination = document.getElementById("listPagination");
+const ITEMS_PAGE_SIZE = 20;
+let itemsOffset = 0;
+
+// Filtering, sorting and paging happen on the server (see /api/items).
+function itemsQuery() {
+  const params = new URLSearchParams();
+  const [sort, order] = sortItems.value.split(":");
+  const add = (key, value) => { if (value) params.set(key, value); };
+  add("storeId", filterStoreId.value.trim());
+  add("department", filterDepartment.value);
+  add("q", filterTitle.value.trim());
+  add("status", filterStatus.value);
+  params.set("sort", sort);
+  params.set("order", order);
+  params.set("limit", ITEMS_PAGE_SIZE);
+  params.set("offset", itemsOffset);
+  return params;
+}
+
+async function loadPersistedItems() {
+  list.innerHTML = '<div style="text-align:center; padding:20px;">Loading...</div>';
+  try {
+    const data = await apiRequest(`/api/items?${itemsQuery()}`, "GET");
+    // Deleting the last item of a page leaves it empty; step back a page
+    if (data.items.length === 0 && data.total > 0 && itemsOffset > 0) {
+      itemsOffset = Math.max(itemsOffset - ITEMS_PAGE_SIZE, 0);
+      return loadPersistedItems();
+    }
+    renderItems(data.items);
+    renderItemsPagination(data);
+  } catch (err) {
+    console.error(err);
+    listPagination.style.display = "none";
+    list.innerHTML = `<div style="text-align:center; color:red;">Error loading items: ${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function reloadItems() {
+  itemsOffset = 0;
+  loadPersistedItems();
+}
+
+function renderItemsPagination(data) {
+  const page = Math.floor(data.offset / data.limit) + 1;
+  const pages = Math.ceil(data.total / data.limit) || 1;
+  listPagination.style.display = data.total > 0 ? "flex" : "none";
+  document.getElementById("listPageInfo").textContent = `Page ${page} of ${pages} (${data.total} messages)` +
+    (data.refreshedAt ? ` · synced with Staffbase ${new Date(data.refreshedAt).toLocaleString()}` : "");
+  document.getElementById("listPrevBtn").disabled = data.offset === 0;
+  document.getElementById("listNextBtn").disabled = data.offset + data.limit >= data.total;
+}
+
+function renderItems(items) {
+  selectedItems.clear();
+  updateBulkBar();
 
   list.innerHTML = "";
-  if (filtered.length === 0) {
+  if (items.length === 0) {
     list.innerHTML = '<div style="text-align:center; color:#999; padding:20px;">No past submissions found</div>';
     return;
   }
 
-  filtered.forEach(item => {
+  items.forEach(item => {
     const div = document.createElement("div");
-    const safeCat = (item.department || "Uncategorized").replace(/\s+/g, '');
-    div.className = `item cat-${safeCat}`; 
+    const catColor = categoryColor(item.department);
+    div.className = "item";
+    div.style.borderLeftColor = catColor;
     
-    const editUrl = `https://app.staffbase.com/admin/plugin/news/${item.channelId}/posts`;
+    const editUrl = `https://app.staffbase.com/admin/plugin/news/${encodeURIComponent(item.channelId)}/posts`;
+    const channelId = escapeHtml(item.channelId);
     let badgeClass = "tag-draft";
     if (item.status === "Published") badgeClass = "tag-published";
     if (item.status === "Scheduled") badgeClass = "tag-scheduled";
 
     div.innerHTML = `
       <div style="display:flex; justify-content:space-between; align-items:flex-start; margin-bottom:8px;">
-        <div class="item-title" style="margin:0;"><strong>${item.title}</strong></div>
-        <span class="status-tag ${badgeClass}">${item.status}</span>
+        <div class="item-title" style="margin:0;">
+          ${item.deletable ? `<input type="checkbox" class="item-select admin-only" data-id="${channelId}">` : ""}
+          <strong>${escapeHtml(item.title)}</strong>
+        </div>
+        <span class="status-tag ${item.archived ? "tag-archived" : badgeClass}" ${item.scheduledAt ? `title="${new Date(item.scheduledAt).toLocaleString()}"` : ""}>${item.archived ? "Archived" : escapeHtml(item.status)}</span>
       </div>
       <div class="item-detail">
-        Category: <span class="cat-badge cat-${safeCat}">${item.department || "Uncategorized"}</span> 
+        Category: <span class="cat-badge" style="color:${escapeHtml(catColor)}">${escapeHtml(item.department || "Uncategorized")}</span> 
         | Stores: ${item.userCount}
+        ${item.createdBy ? `| By: ${escapeHtml(item.createdBy)}` : ""}
       </div>
       <div class="item-detail">
-        <a href="${editUrl}" target="_blank" class="post-link">Edit Post</a>
-        <button class="btn-delete-post" data-id="${item.channelId}">Delete</button>
+        ${item.hasReport && !item.archived
+          ? `<button class="post-link btn-edit author-only" data-id="${channelId}">Edit</button>`
+          : `<a href="${editUrl}" target="_blank" class="post-link">Edit Post</a>`}
+        ${item.status !== "Published" && !item.archived ? `<button class="post-link btn-publish author-only" data-id="${channelId}" data-mode="now">Publish</button>` : ""}
+        ${item.status !== "Published" && !item.archived ? `<button class="post-link btn-publish author-only" data-id="${channelId}" data-mode="schedule">${item.status === "Scheduled" ? "Reschedule" : "Schedule"}</button>` : ""}
+        ${item.hasReport ? `<button class="post-link btn-report" data-id="${channelId}">Store Report</button>` : ""}
+        ${item.hasReport ? `<button class="post-link btn-progress" data-id="${channelId}">Progress</button>` : ""}
+        ${item.hasReport ? `<a class="post-link" href="/api/messages/${escapeHtml(encodeURIComponent(item.channelId))}/export?format=xlsx" title="Store-by-task completion as a spreadsheet">Tasks XLSX</a>` : ""}
+        ${item.hasReport ? `<a class="post-link" href="/api/messages/${escapeHtml(encodeURIComponent(item.channelId))}/export?format=csv" title="Store-by-task completion as CSV">Tasks CSV</a>` : ""}
+        ${item.failedStores && !item.archived ? `<button class="btn-retry author-only" data-id="${channelId}">Retry ${item.failedStores} Failed</button>` : ""}
+        ${item.hasReport && !item.archived ? `<button class="post-link btn-archive admin-only" data-id="${channelId}">Archive</button>` : ""}
+        ${item.archived ? `<button class="post-link btn-restore admin-only" data-id="${channelId}">Restore</button>` : ""}
+        ${item.deletable ? `<button class="btn-delete-post admin-only" data-id="${channelId}">Delete</button>` : ""}
       </div>
       <div class="item-timestamp">${new Date(item.createdAt).toLocaleString()}</div>
     `;
@@ -303,42 +1198,970 @@ function filterAndRenderItems() {
   });
   
   attachDeleteListeners();
+  attachArchiveListeners();
+  attachReportListeners();
+  attachPublishListeners();
+}
+
+// --- PUBLISH / RESCHEDULE EXISTING ITEMS ---
+const publishModal = document.getElementById("publishModal");
+const itemScheduledAt = document.getElementById("itemScheduledAt");
+let publishChannelId = null;
+
+bindPublishModes("itemPublishMode", itemScheduledAt);
+
+function attachPublishListeners() {
+  list.querySelectorAll(".btn-publish").forEach(btn => {
+    btn.addEventListener("click", (e) => openPublishModal(e.target.dataset.id, e.target.dataset.mode));
+  });
+}
+
+function openPublishModal(channelId, mode) {
+  publishChannelId = channelId;
+  const radio = publishModal.querySelector(`input[name="itemPublishMode"][value="${mode}"]`);
+  radio.checked = true;
+  radio.dispatchEvent(new Event("change"));
+  itemScheduledAt.value = "";
+  document.getElementById("publishModalTitle").textContent = mode === "schedule" ? "Schedule Message" : "Publish Message";
+  publishModal.style.display = "flex";
+}
+
+document.getElementById("publishCancelBtn").addEventListener("click", () => {
+  publishModal.style.display = "none";
+});
+
+document.getElementById("publishConfirmBtn").addEventListener("click", async (e) => {
+  const btn = e.target;
+  const mode = publishModal.querySelector('input[name="itemPublishMode"]:checked').value;
+  if (mode === "schedule" && !itemScheduledAt.value) {
+    itemScheduledAt.reportValidity();
+    return;
+  }
+
+  btn.disabled = true;
+  try {
+    const res = await fetch(`/api/items/${encodeURIComponent(publishChannelId)}/publish`, {
+      method: "POST",
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        publishMode: mode,
+        scheduledAt: mode === "schedule" ? new Date(itemScheduledAt.value).toISOString() : null,
+        notify: document.getElementById("itemNotify").checked
+      })
+    });
+    const data = await res.json();
+    if (!data.success) throw new Error(data.error || "Publish failed");
+    publishModal.style.display = "none";
+    loadPersistedItems();
+  } catch (err) {
+    alert("Error: " + err.message);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+function attachReportListeners() {
+  list.querySelectorAll(".btn-report").forEach(btn => {
+    btn.addEventListener("click", (e) => showStoreReport(e.target.dataset.id));
+  });
+  list.querySelectorAll(".btn-retry").forEach(btn => {
+    btn.addEventListener("click", (e) => retryFailedStores(e.target.dataset.id));
+  });
+  list.querySelectorAll(".btn-progress").forEach(btn => {
+    btn.addEventListener("click", (e) => showProgress(e.target.dataset.id));
+  });
+  list.querySelectorAll(".btn-edit").forEach(btn => {
+    btn.addEventListener("click", (e) => openEditModal(e.target.dataset.id));
+  });
+}
+
+// --- EDIT MESSAGE ---
+const editModal = document.getElementById("editModal");
+const editTasksContainer = document.getElementById("editTasksContainer");
+const editMsg = document.getElementById("editMsg");
+let editChannelId = null;
+
+// Existing tasks keep their index so the server can tell edits from additions.
+function addEditTaskRow(task = {}, index = null) {
+  const div = document.createElement("div");
+  div.className = "manual-task-row";
+  if (index !== null) div.dataset.index = index;
+  div.innerHTML = `
+    <span class="task-existing" title="${index !== null ? "Existing task" : "New task"}">${index !== null ? `#${index + 1}` : "new"}</span>
+    <input type="text" placeholder="Task Title" class="t-title" value="${escapeHtml(task.title || "")}">
+    <input type="text" placeholder="Description" class="t-desc" value="${escapeHtml(task.description || "")}">
+    <input type="date" class="t-date" title="Due Date" value="${task.dueDate ? escapeHtml(task.dueDate.slice(0, 10)) : ""}">
+    ${index === null ? '<button type="button" class="btn-icon btn-remove" title="Remove">&times;</button>' : ""}
+  `;
+  div.querySelector(".btn-remove")?.addEventListener("click", () => div.remove());
+  editTasksContainer.appendChild(div);
+}
+
+async function openEditModal(channelId) {
+  editChannelId = channelId;
+  editMsg.textContent = "";
+  editTasksContainer.innerHTML = "";
+  try {
+    const record = await apiRequest(`/api/messages/${encodeURIComponent(channelId)}`, "GET");
+    const selectable = categories.filter(c => c.selectable || c.name === record.department);
+    document.getElementById("editDepartment").innerHTML = selectable.map(c =>
+      `<option value="${escapeHtml(c.name)}" ${c.name === record.department ? "selected" : ""}>${escapeHtml(c.name)}</option>`).join("");
+    document.getElementById("editTitle").value = record.title || "";
+    document.getElementById("editBody").value = record.body || "";
+    document.getElementById("editTeaser").value = record.customTeaser || "";
+    document.getElementById("editDeadline").value = record.deadline || "";
+    document.getElementById("editStoreIds").value = (record.storeIds || []).join("\n");
+    (record.tasks || []).forEach((t, i) => addEditTaskRow(t, i));
+    editModal.style.display = "flex";
+  } catch (err) {
+    alert("Error: " + err.message);
+  }
+}
+
+document.getElementById("editAddTaskBtn").addEventListener("click", () => addEditTaskRow());
+document.getElementById("editCancelBtn").addEventListener("click", () => {
+  editModal.style.display = "none";
+});
+
+document.getElementById("editSaveBtn").addEventListener("click", async (e) => {
+  const btn = e.target;
+  const tasks = [...editTasksContainer.querySelectorAll(".manual-task-row")].map(row => ({
+    index: row.dataset.index !== undefined ? Number(row.dataset.index) : null,
+    title: row.querySelector(".t-title").value.trim(),
+    description: row.querySelector(".t-desc").value.trim(),
+    dueDate: row.querySelector(".t-date").value || null
+  })).filter(t => t.index !== null || t.title);
+
+  btn.disabled = true;
+  editMsg.textContent = "";
+  try {
+    const data = await apiRequest(`/api/messages/${encodeURIComponent(editChannelId)}`, "PATCH", {
+      title: document.getElementById("editTitle").value,
+      body: document.getElementById("editBody").value,
+      teaser: document.getElementById("editTeaser").value,
+      department: document.getElementById("editDepartment").value,
+      deadline: document.getElementById("editDeadline").value || null,
+      storeIds: document.getElementById("editStoreIds").value.split(/[\s,]+/).filter(Boolean),
+      tasks
+    });
+    editModal.style.display = "none";
+    status.textContent = `Processing... Saving changes (${data.changes.join(", ") || "retrying store removals"}).`;
+    status.className = "status-processing";
+    window.scrollTo({ top: 0, behavior: "smooth" });
+    trackJob(data.jobId);
+  } catch (err) {
+    editMsg.textContent = "Error: " + err.message;
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// --- PER-STORE DISTRIBUTION REPORT ---
+const reportModal = document.getElementById("reportModal");
+const reportBody = document.getElementById("reportBody");
+
+document.getElementById("reportCloseBtn").addEventListener("click", () => {
+  reportModal.style.display = "none";
+});
+
+async function showStoreReport(channelId) {
+  reportBody.innerHTML = '<div style="text-align:center; padding:20px;">Loading...</div>';
+  reportModal.style.display = "flex";
+  try {
+    const res = await fetch(`/api/messages/${encodeURIComponent(channelId)}`, { cache: "no-store" });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || "Could not load report");
+
+    const s = data.summary;
+    const rows = data.stores.map(r => `
+      <tr>
+        <td><code>${escapeHtml(r.storeId)}</code></td>
+        <td>${escapeHtml(r.name)}</td>
+        <td class="report-${r.status}">${r.status}</td>
+        <td>${r.tasks.length} / ${data.tasks.length}</td>
+        <td>${escapeHtml(r.error || r.reason)}</td>
+      </tr>`).join("");
+
+    reportBody.innerHTML = `
+      <div class="sub-label">${escapeHtml(data.title)} · ${s.done} done, ${s.failed} failed, ${s.skipped} skipped of ${s.total} stores</div>
+      <table class="results-table">
+        <thead><tr><th>Store ID</th><th>Name</th><th>Status</th><th>Tasks</th><th>Details</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  } catch (err) {
+    reportBody.innerHTML = `<div class="status-error" style="padding:10px;">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+// --- TASK COMPLETION DASHBOARD ---
+const progressModal = document.getElementById("progressModal");
+const progressBody = document.getElementById("progressBody");
+let progressChannelId = null;
+let progressData = null;
+let progressView = "stores";
+let progressOverdueOnly = false;
+
+document.getElementById("progressCloseBtn").addEventListener("click", () => {
+  progressModal.style.display = "none";
+});
+document.getElementById("progressRefreshBtn").addEventListener("click", () => showProgress(progressChannelId, true));
+
+async function showProgress(channelId, refresh = false) {
+  progressChannelId = channelId;
+  progressBody.innerHTML = '<div style="text-align:center; padding:20px;">Loading task status from the store projects...</div>';
+  progressModal.style.display = "flex";
+  try {
+    progressData = await apiRequest(`/api/messages/${encodeURIComponent(channelId)}/progress${refresh ? "?refresh=true" : ""}`, "GET");
+    renderProgress();
+  } catch (err) {
+    progressBody.innerHTML = `<div class="status-error" style="padding:10px;">${escapeHtml(err.message)}</div>`;
+  }
+}
+
+function storeProgressStatus(s) {
+  if (!s.tracked) return `<span class="import-error">${escapeHtml(s.error)}</span>`;
+  if (s.overdue) return '<span class="progress-overdue">Overdue</span>';
+  if (s.total > 0 && s.done === s.total) return '<span class="progress-complete">Complete</span>';
+  return "In progress";
+}
+
+function formatDue(dueDate) {
+  return dueDate ? new Date(dueDate).toLocaleDateString() : "–";
+}
+
+function renderProgress() {
+  const p = progressData;
+  const stores = progressOverdueOnly ? p.stores.filter(s => s.overdue) : p.stores;
+  const tasks = progressOverdueOnly ? p.tasks.filter(t => t.overdueStores.length) : p.tasks;
+
+  const storeRows = stores.map(s => `
+    <tr class="store-row" data-store="${escapeHtml(s.storeId)}">
+      <td><code>${escapeHtml(s.storeId)}</code></td>
+      <td>${escapeHtml(s.name)}</td>
+      <td>${s.tracked ? `${s.done} / ${s.total} (${s.percent}%)` : "–"}</td>
+      <td>${storeProgressStatus(s)}</td>
+    </tr>
+    <tr class="drilldown" data-for="${escapeHtml(s.storeId)}" style="display:none;"><td colspan="4">
+      ${s.tasks.map(t => `<div>${t.done ? "✓" : t.overdue ? '<span class="progress-overdue">!</span>' : "○"} ${escapeHtml(t.title)} <span class="sub-label" style="display:inline;">(Due: ${formatDue(t.dueDate)} · ${escapeHtml(t.status)})</span></div>`).join("") || '<span class="sub-label">No tasks tracked for this store.</span>'}
+    </td></tr>`).join("");
+
+  const taskRows = tasks.map(t => `
+    <tr>
+      <td>${escapeHtml(t.title)}</td>
+      <td>${formatDue(t.dueDate)}</td>
+      <td>${t.done} / ${t.total} (${t.percent}%)</td>
+      <td title="${escapeHtml(t.overdueStores.join(", "))}">${t.overdueStores.length ? `<span class="progress-overdue">${t.overdueStores.length}</span>` : "0"}</td>
+    </tr>`).join("");
+
+  progressBody.innerHTML = `
+    <div class="sub-label">${escapeHtml(p.title)}${p.deadline ? ` · Deadline ${escapeHtml(p.deadline)}` : ""}</div>
+    <div class="progress-summary">
+      <strong>${p.overall.percent}% complete (${p.overall.done} of ${p.overall.total} tasks)</strong>
+      <span class="${p.overdueStores.length ? "progress-overdue" : ""}">${p.overdueStores.length} store(s) overdue</span>
+    </div>
+    <div class="job-bar"><div class="job-bar-fill" style="width:${p.overall.percent}%"></div></div>
+    <div class="progress-tabs">
+      <button type="button" class="progress-tab ${progressView === "stores" ? "active" : ""}" data-view="stores">By Store</button>
+      <button type="button" class="progress-tab ${progressView === "tasks" ? "active" : ""}" data-view="tasks">By Task</button>
+      <label><input type="checkbox" id="progressOverdueOnly" ${progressOverdueOnly ? "checked" : ""}> Overdue only</label>
+    </div>
+    ${progressView === "stores" ? `
+      <span class="sub-label">Click a store to see its tasks.</span>
+      <table class="results-table progress-table">
+        <thead><tr><th>Store ID</th><th>Name</th><th>Done</th><th>Status</th></tr></thead>
+        <tbody>${storeRows || '<tr><td colspan="4" style="text-align:center; color:#999;">No stores</td></tr>'}</tbody>
+      </table>` : `
+      <table class="results-table progress-table">
+        <thead><tr><th>Task</th><th>Due</th><th>Done</th><th>Overdue Stores</th></tr></thead>
+        <tbody>${taskRows || '<tr><td colspan="4" style="text-align:center; color:#999;">No tasks</td></tr>'}</tbody>
+      </table>`}
+    <div class="sub-label" style="margin-top:8px;">Status as of ${new Date(p.fetchedAt).toLocaleString()}. Use Refresh to reload it from the store projects.</div>
+  `;
+
+  progressBody.querySelectorAll(".progress-tab").forEach(tab => tab.addEventListener("click", () => {
+    progressView = tab.dataset.view;
+    renderProgress();
+  }));
+  document.getElementById("progressOverdueOnly").addEventListener("change", (e) => {
+    progressOverdueOnly = e.target.checked;
+    renderProgress();
+  });
+  progressBody.querySelectorAll(".store-row").forEach(row => row.addEventListener("click", () => {
+    const detail = [...progressBody.querySelectorAll(".drilldown")].find(d => d.dataset.for === row.dataset.store);
+    detail.style.display = detail.style.display === "none" ? "table-row" : "none";
+  }));
 }
 
 function attachDeleteListeners() {
-  document.querySelectorAll(".btn-delete-post").forEach(btn => {
+  list.querySelectorAll(".btn-delete-post").forEach(btn => {
+    btn.addEventListener("click", async (e) => {
+      if (!confirm("Permanently delete this channel, its posts and the task lists it created in store projects?")) return;
+      btn.disabled = true;
+      try {
+        await apiRequest(`/api/delete/${encodeURIComponent(e.target.dataset.id)}`, "DELETE");
+        loadPersistedItems();
+      } catch (err) {
+        alert("Delete failed: " + err.message);
+        btn.disabled = false;
+      }
+    });
+  });
+}
+
+// --- ARCHIVE / RESTORE ---
+function attachArchiveListeners() {
+  const bind = (selector, action) => list.querySelectorAll(selector).forEach(btn => {
     btn.addEventListener("click", async (e) => {
-      if(!confirm("Delete this channel and its posts?")) return;
-      await fetch(`/api/delete/${e.target.dataset.id}`, { method: "DELETE" });
-      location.reload();
+      btn.disabled = true;
+      try {
+        await apiRequest(`/api/items/${encodeURIComponent(e.target.dataset.id)}/${action}`, "POST");
+        loadPersistedItems();
+      } catch (err) {
+        alert(`Could not ${action} this message: ${err.message}`);
+        btn.disabled = false;
+      }
     });
   });
+  bind(".btn-archive", "archive");
+  bind(".btn-restore", "restore");
+}
+
+// --- BULK ACTIONS ---
+const selectedItems = new Set();
+const selectAllItems = document.getElementById("selectAllItems");
+const bulkMsg = document.getElementById("bulkMsg");
+
+function updateBulkBar() {
+  document.getElementById("bulkCount").textContent = `${selectedItems.size} selected`;
+  document.getElementById("bulkArchiveBtn").disabled = selectedItems.size === 0;
+  document.getElementById("bulkDeleteBtn").disabled = selectedItems.size === 0;
+  const boxes = list.querySelectorAll(".item-select");
+  selectAllItems.checked = boxes.length > 0 && selectedItems.size === boxes.length;
 }
 
+list.addEventListener("change", (e) => {
+  if (!e.target.classList.contains("item-select")) return;
+  if (e.target.checked) selectedItems.add(e.target.dataset.id);
+  else selectedItems.delete(e.target.dataset.id);
+  updateBulkBar();
+});
+
+selectAllItems.addEventListener("change", () => {
+  list.querySelectorAll(".item-select").forEach(box => {
+    box.checked = selectAllItems.checked;
+    if (box.checked) selectedItems.add(box.dataset.id);
+    else selectedItems.delete(box.dataset.id);
+  });
+  updateBulkBar();
+});
+
+document.getElementById("bulkArchiveBtn").addEventListener("click", async () => {
+  bulkMsg.textContent = "";
+  try {
+    const data = await apiRequest("/api/items/bulk-archive", "POST", { channelIds: [...selectedItems] });
+    bulkMsg.textContent = `✓ ${data.archived} archived.` + (data.failed.length ? ` ${data.failed.length} failed: ${data.failed.map(f => f.error).join("; ")}` : "");
+    loadPersistedItems();
+  } catch (err) {
+    bulkMsg.textContent = "✗ " + err.message;
+  }
+});
+
+document.getElementById("bulkDeleteBtn").addEventListener("click", async () => {
+  const ids = [...selectedItems];
+  if (!confirm(`Permanently delete ${ids.length} channel(s), their posts and the task lists they created in store projects?`)) return;
+  bulkMsg.textContent = "";
+  try {
+    const { jobId } = await apiRequest("/api/items/bulk-delete", "POST", { channelIds: ids });
+    const job = await waitForJob(jobId, (j) => {
+      bulkMsg.textContent = `Deleting... ${j.progress.done + j.progress.failed} of ${j.progress.total}`;
+    });
+    const failed = job.stores.filter(s => s.status === "failed");
+    bulkMsg.textContent = job.status === "failed"
+      ? "✗ " + job.error
+      : `✓ ${job.progress.done} deleted.` + (failed.length ? ` ${failed.length} failed: ${failed.map(f => f.error).join("; ")}` : "");
+    loadPersistedItems();
+  } catch (err) {
+    bulkMsg.textContent = "✗ " + err.message;
+  }
+});
+
 // Event Listeners for Filters
-// For text inputs, we usually wait for user to finish or click apply.
-// Since StoreID requires a server fetch, we use the "Apply" button or Enter key.
+// Selects apply immediately; text filters wait for typing to pause.
+let filterTimer = null;
+function reloadItemsSoon() {
+  clearTimeout(filterTimer);
+  filterTimer = setTimeout(reloadItems, 300);
+}
+
+applyFilters.addEventListener("click", reloadItems);
 
-applyFilters.addEventListener("click", loadPersistedItems);
+// Exports cover every page of the filtered list
+function exportItems(format) {
+  const params = itemsQuery();
+  params.delete("limit");
+  params.delete("offset");
+  params.set("format", format);
+  location.href = `/api/items/export?${params}`;
+}
+document.getElementById("exportItemsCsv").addEventListener("click", () => exportItems("csv"));
+document.getElementById("exportItemsXlsx").addEventListener("click", () => exportItems("xlsx"));
 filterStoreId.addEventListener("keypress", (e) => {
-    if (e.key === 'Enter') loadPersistedItems();
+    if (e.key === 'Enter') reloadItems();
 });
-
-// Existing client-side filters can still be immediate
-filterDepartment.addEventListener("change", filterAndRenderItems);
-filterTitle.addEventListener("input", filterAndRenderItems);
-filterStatus.addEventListener("change", filterAndRenderItems);
+filterTitle.addEventListener("input", reloadItemsSoon);
+[filterDepartment, filterStatus, sortItems].forEach(el => el.addEventListener("change", reloadItems));
 
 resetFilters.addEventListener("click", () => {
   filterDepartment.value = ""; 
   filterTitle.value = ""; 
-  filterStatus.value = "draft";
+  filterStatus.value = "";
   filterStoreId.value = "";
-  loadPersistedItems(); // Reload full list
+  sortItems.value = "createdAt:desc";
+  reloadItems();
+});
+
+document.getElementById("listPrevBtn").addEventListener("click", () => {
+  itemsOffset = Math.max(itemsOffset - ITEMS_PAGE_SIZE, 0);
+  loadPersistedItems();
+});
+document.getElementById("listNextBtn").addEventListener("click", () => {
+  itemsOffset += ITEMS_PAGE_SIZE;
+  loadPersistedItems();
+});
+
+document.getElementById("refreshItems").addEventListener("click", async (e) => {
+  const btn = e.target;
+  btn.disabled = true;
+  btn.textContent = "Refreshing...";
+  try {
+    await apiRequest("/api/items/refresh", "POST");
+    loadPersistedItems();
+  } catch (err) {
+    alert("Refresh failed: " + err.message);
+  } finally {
+    btn.disabled = false;
+    btn.textContent = "Refresh from Staffbase";
+  }
 });
 
 toggleFiltersBtn.addEventListener("click", () => {
   filtersContainer.style.display = filtersContainer.style.display === "none" ? "grid" : "none";
 });
 
-document.addEventListener("DOMContentLoaded", loadPersistedItems);
+// --- PORTAL USERS (admin) ---
+const usersModal = document.getElementById("usersModal");
+const usersBody = document.getElementById("usersBody");
+const usersMsg = document.getElementById("usersMsg");
+
+function roleOptions(selected) {
+  return roles.map(r => `<option value="${r}" ${r === selected ? "selected" : ""}>${r}</option>`).join("");
+}
+
+async function loadUsers() {
+  try {
+    const data = await apiRequest("/api/users", "GET");
+    usersBody.innerHTML = data.users.map(u => `
+      <tr data-id="${escapeHtml(u.id)}">
+        <td>${escapeHtml(u.username)}${u.id === currentUser.id ? ' <span class="sub-label" style="display:inline;">(you)</span>' : ""}</td>
+        <td><select class="u-role">${roleOptions(u.role)}</select></td>
+        <td>
+          <button type="button" class="post-link u-password" style="margin:0;">Reset Password</button>
+          ${u.id === currentUser.id ? "" : '<button type="button" class="btn-delete-post u-delete">Delete</button>'}
+        </td>
+      </tr>`).join("");
+  } catch (err) {
+    usersMsg.textContent = err.message;
+  }
+}
+
+async function updateUser(id, body) {
+  usersMsg.textContent = "";
+  try {
+    await apiRequest(`/api/users/${id}`, "PATCH", body);
+  } catch (err) {
+    usersMsg.textContent = err.message;
+  }
+  loadUsers();
+}
+
+usersBody.addEventListener("change", (e) => {
+  if (!e.target.classList.contains("u-role")) return;
+  updateUser(e.target.closest("tr").dataset.id, { role: e.target.value });
+});
+
+usersBody.addEventListener("click", async (e) => {
+  const id = e.target.closest("tr")?.dataset.id;
+  if (e.target.classList.contains("u-password")) {
+    const password = prompt("New password (at least 8 characters):");
+    if (password) updateUser(id, { password });
+  }
+  if (e.target.classList.contains("u-delete")) {
+    if (!confirm("Delete this user?")) return;
+    usersMsg.textContent = "";
+    try {
+      await apiRequest(`/api/users/${id}`, "DELETE");
+    } catch (err) {
+      usersMsg.textContent = err.message;
+    }
+    loadUsers();
+  }
+});
+
+document.getElementById("addUserBtn").addEventListener("click", async () => {
+  usersMsg.textContent = "";
+  try {
+    await apiRequest("/api/users", "POST", {
+      username: document.getElementById("newUsername").value,
+      password: document.getElementById("newPassword").value,
+      role: document.getElementById("newRole").value
+    });
+    document.getElementById("newUsername").value = "";
+    document.getElementById("newPassword").value = "";
+    loadUsers();
+  } catch (err) {
+    usersMsg.textContent = err.message;
+  }
+});
+
+document.getElementById("manageUsersBtn").addEventListener("click", () => {
+  usersMsg.textContent = "";
+  document.getElementById("newRole").innerHTML = roleOptions("author");
+  usersModal.style.display = "flex";
+  loadUsers();
+});
+document.getElementById("usersCloseBtn").addEventListener("click", () => { usersModal.style.display = "none"; });
+
+// --- AUDIT LOG (admin) ---
+const auditModal = document.getElementById("auditModal");
+const auditBody = document.getElementById("auditBody");
+const AUDIT_PAGE_SIZE = 50;
+let auditOffset = 0;
+let auditFiltersLoaded = false;
+
+function auditQuery() {
+  const params = new URLSearchParams();
+  const add = (key, id) => {
+    const value = document.getElementById(id).value.trim();
+    if (value) params.set(key, value);
+  };
+  add("action", "auditAction");
+  add("actor", "auditActor");
+  add("outcome", "auditOutcome");
+  add("storeId", "auditStoreId");
+  add("from", "auditFrom");
+  add("to", "auditTo");
+  add("q", "auditSearch");
+  return params;
+}
+
+function fillFilterSelect(id, values) {
+  const select = document.getElementById(id);
+  select.innerHTML = '<option value="">All</option>' +
+    values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join("");
+}
+
+async function loadAudit() {
+  const params = auditQuery();
+  params.set("limit", AUDIT_PAGE_SIZE);
+  params.set("offset", auditOffset);
+  auditBody.innerHTML = '<tr><td colspan="7" style="text-align:center;">Loading...</td></tr>';
+  try {
+    const data = await apiRequest(`/api/audit?${params}`, "GET");
+    if (!auditFiltersLoaded) {
+      fillFilterSelect("auditAction", data.actions);
+      fillFilterSelect("auditActor", data.actors);
+      fillFilterSelect("auditOutcome", data.outcomes);
+      auditFiltersLoaded = true;
+    }
+    auditBody.innerHTML = data.entries.map(e => `
+      <tr>
+        <td>${new Date(e.at).toLocaleString()}</td>
+        <td>${escapeHtml(e.actor?.username || "–")}</td>
+        <td>${escapeHtml(e.action)}</td>
+        <td class="audit-${escapeHtml(e.outcome)}">${escapeHtml(e.outcome)}</td>
+        <td>${e.channelId ? `<code>${escapeHtml(e.channelId)}</code>` : ""}${e.postId ? `<br><code>${escapeHtml(e.postId)}</code>` : ""}</td>
+        <td title="${escapeHtml(e.storeIds.join(", "))}">${e.storeIds.length}</td>
+        <td>${escapeHtml(e.details || "")}${e.error ? `<div class="import-error">${escapeHtml(e.error)}</div>` : ""}</td>
+      </tr>`).join("") || '<tr><td colspan="7" style="text-align:center; color:#999;">No entries</td></tr>';
+    const page = Math.floor(auditOffset / AUDIT_PAGE_SIZE) + 1;
+    const pages = Math.ceil(data.total / AUDIT_PAGE_SIZE) || 1;
+    document.getElementById("auditPageInfo").textContent = `Page ${page} of ${pages} (${data.total} entries)`;
+    document.getElementById("auditPrevBtn").disabled = auditOffset === 0;
+    document.getElementById("auditNextBtn").disabled = auditOffset + AUDIT_PAGE_SIZE >= data.total;
+  } catch (err) {
+    auditBody.innerHTML = `<tr><td colspan="7" class="import-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+function reloadAudit() {
+  auditOffset = 0;
+  loadAudit();
+}
+
+auditModal.querySelectorAll(".audit-filters select, .audit-filters input[type=date]").forEach(el => el.addEventListener("change", reloadAudit));
+auditModal.querySelectorAll(".audit-filters input[type=text]").forEach(el => el.addEventListener("keypress", (e) => {
+  if (e.key === "Enter") reloadAudit();
+}));
+document.getElementById("auditPrevBtn").addEventListener("click", () => {
+  auditOffset = Math.max(auditOffset - AUDIT_PAGE_SIZE, 0);
+  loadAudit();
+});
+document.getElementById("auditNextBtn").addEventListener("click", () => {
+  auditOffset += AUDIT_PAGE_SIZE;
+  loadAudit();
+});
+document.getElementById("auditExportBtn").addEventListener("click", () => {
+  const params = auditQuery();
+  params.set("format", "csv");
+  location.href = `/api/audit?${params}`;
+});
+document.getElementById("auditLogBtn").addEventListener("click", () => {
+  auditModal.style.display = "flex";
+  reloadAudit();
+});
+document.getElementById("auditCloseBtn").addEventListener("click", () => { auditModal.style.display = "none"; });
+
+// --- CAMPAIGN UPLOAD ---
+const campaignModal = document.getElementById("campaignModal");
+const campaignFileInput = document.getElementById("campaignFile");
+const campaignFileName = document.getElementById("campaignFileName");
+const campaignReport = document.getElementById("campaignReport");
+const campaignTable = document.getElementById("campaignTable");
+const campaignBody = document.getElementById("campaignBody");
+const campaignMsg = document.getElementById("campaignMsg");
+const campaignCreateBtn = document.getElementById("campaignCreateBtn");
+
+// Both campaign routes answer a file with problems with the per-row report.
+async function postCampaignFile(url) {
+  const formData = new FormData();
+  formData.append("campaignFile", campaignFileInput.files[0]);
+  const res = await fetch(url, { method: "POST", body: formData });
+  if (res.status === 401) redirectToLogin();
+  const data = await res.json();
+  if (!res.ok && !data.errors) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function renderCampaignReport(report) {
+  const rowsWithErrors = new Set(report.errors.map(e => e.row));
+  const issues = [
+    ...report.errors.map(e => `<li class="import-error">Row ${e.row}: ${escapeHtml(e.message)}</li>`),
+    ...report.warnings.map(w => `<li class="import-warning">Row ${w.row}: ${escapeHtml(w.message)}</li>`)
+  ].join("");
+
+  campaignReport.className = `import-report${report.valid ? "" : " has-errors"}`;
+  campaignReport.style.display = "block";
+  campaignReport.innerHTML = `
+    <div><strong>${report.valid ? "✓" : "⚠️"} ${report.messages.length} message(s), ${report.errors.length} problem(s)</strong></div>
+    ${report.valid ? "" : `<div class="import-error">Nothing is created while any row has a problem. Fix the file and select it again.</div>`}
+    ${issues ? `<ul>${issues}</ul>` : ""}
+  `;
+  campaignBody.innerHTML = report.messages.map(m => `
+    <tr data-row="${m.row}" class="${rowsWithErrors.has(m.row) ? "has-errors" : ""}">
+      <td>${m.row}</td>
+      <td>${escapeHtml(m.title)}</td>
+      <td>${escapeHtml(m.department || "")}</td>
+      <td>${escapeHtml(m.deadline || "-")}</td>
+      <td title="${escapeHtml(m.audiences.join(", "))}">${m.storeCount}</td>
+      <td>${m.taskCount}</td>
+      <td>${escapeHtml(m.publishMode)}</td>
+      <td class="campaign-result"></td>
+    </tr>`).join("");
+  campaignTable.style.display = report.messages.length ? "table" : "none";
+}
+
+function campaignResultHtml(entry) {
+  if (entry.status === "pending") return '<span class="report-skipped">Waiting</span>';
+  if (entry.status === "running") return "Creating...";
+  if (entry.status === "failed") return `<span class="report-failed">✗ ${escapeHtml(entry.error || "Failed")}</span>`;
+  const s = entry.stores;
+  return entry.partial
+    ? `<span class="report-failed">⚠️ ${s.done} done, ${s.failed} failed</span>`
+    : `<span class="report-done">✓ ${s.done} of ${s.total} stores</span>`;
+}
+
+function renderCampaignJob(job) {
+  job.stores.forEach(entry => {
+    const cell = campaignBody.querySelector(`tr[data-row="${entry.row}"] .campaign-result`);
+    if (cell) cell.innerHTML = campaignResultHtml(entry);
+  });
+  if (job.status === "running") campaignMsg.textContent = `Creating... ${job.progress.done + job.progress.failed} of ${job.progress.total} messages handled.`;
+}
+
+function resetCampaignModal() {
+  campaignFileInput.value = "";
+  campaignFileName.textContent = "Drag and drop or click to select a CSV or XLSX file";
+  campaignReport.style.display = "none";
+  campaignTable.style.display = "none";
+  campaignBody.innerHTML = "";
+  campaignMsg.textContent = "";
+  campaignCreateBtn.disabled = true;
+}
+
+document.getElementById("campaignBtn").addEventListener("click", () => {
+  resetCampaignModal();
+  campaignModal.style.display = "flex";
+});
+document.getElementById("campaignCloseBtn").addEventListener("click", () => {
+  campaignModal.style.display = "none";
+});
+
+campaignFileInput.addEventListener("change", async () => {
+  campaignCreateBtn.disabled = true;
+  campaignMsg.textContent = "";
+  campaignTable.style.display = "none";
+  if (!campaignFileInput.files.length) return;
+  campaignFileName.textContent = campaignFileInput.files[0].name;
+  campaignReport.className = "import-report";
+  campaignReport.style.display = "block";
+  campaignReport.textContent = "Checking file...";
+  try {
+    const report = await postCampaignFile("/api/campaigns/validate");
+    renderCampaignReport(report);
+    campaignCreateBtn.disabled = !report.valid;
+  } catch (err) {
+    campaignReport.className = "import-report has-errors";
+    campaignReport.textContent = "✗ " + err.message;
+  }
+});
+
+campaignCreateBtn.addEventListener("click", async () => {
+  campaignCreateBtn.disabled = true;
+  campaignFileInput.disabled = true;
+  campaignMsg.textContent = "Checking file...";
+  try {
+    const started = await postCampaignFile("/api/campaigns");
+    renderCampaignReport(started);
+    if (!started.jobId) {
+      campaignMsg.textContent = "✗ " + started.error;
+      return;
+    }
+    const job = await waitForJob(started.jobId, renderCampaignJob);
+    if (job.status === "failed") {
+      campaignMsg.textContent = "✗ Campaign failed: " + job.error;
+    } else {
+      const m = job.result.messages;
+      const s = job.result.stores;
+      campaignMsg.textContent = `${m.failed || m.partial ? "⚠️" : "✓"} ${m.created} of ${m.total} messages created` +
+        (m.partial ? ` (${m.partial} with failed stores; retry them from the message list)` : "") +
+        (m.failed ? `, ${m.failed} failed` : "") +
+        `. ${job.result.taskCount} tasks to ${s.done} of ${s.total} stores.`;
+    }
+    loadPersistedItems();
+  } catch (err) {
+    campaignMsg.textContent = "✗ " + err.message;
+  } finally {
+    campaignFileInput.disabled = false;
+  }
+});
+
+// --- REMINDERS & ESCALATIONS (admin) ---
+const remindersModal = document.getElementById("remindersModal");
+const reminderRulesBody = document.getElementById("reminderRulesBody");
+const reminderLogBody = document.getElementById("reminderLogBody");
+const remindersMsg = document.getElementById("remindersMsg");
+
+function addReminderRuleRow(rule = { category: "*", enabled: true, remindDaysBefore: 2, escalateDaysAfter: 1, escalationGroupId: "", escalationGroupName: "" }) {
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td><select class="r-category">${categoryOptions(rule.category)}</select></td>
+    <td><input type="checkbox" class="r-enabled" ${rule.enabled ? "checked" : ""}></td>
+    <td><input type="number" class="r-before" min="0" max="60" value="${escapeHtml(rule.remindDaysBefore)}"></td>
+    <td><input type="number" class="r-after" min="0" max="60" value="${escapeHtml(rule.escalateDaysAfter)}"></td>
+    <td><input type="text" class="r-group" placeholder="Staffbase group ID" value="${escapeHtml(rule.escalationGroupId)}"></td>
+    <td><input type="text" class="r-group-name" placeholder="Label (optional)" value="${escapeHtml(rule.escalationGroupName)}"></td>
+    <td><button type="button" class="btn-icon btn-remove" title="Remove">&times;</button></td>
+  `;
+  tr.querySelector(".btn-remove").addEventListener("click", () => tr.remove());
+  reminderRulesBody.appendChild(tr);
+}
+
+async function loadReminderLog() {
+  reminderLogBody.innerHTML = '<tr><td colspan="6" style="text-align:center;">Loading...</td></tr>';
+  try {
+    const data = await apiRequest("/api/reminders/log?limit=20", "GET");
+    reminderLogBody.innerHTML = data.entries.map(e => `
+      <tr>
+        <td>${new Date(e.at).toLocaleString()}</td>
+        <td>${escapeHtml(e.kind)}</td>
+        <td>${escapeHtml(e.title || "")}<br><code>${escapeHtml(e.channelId)}</code></td>
+        <td class="reminder-${escapeHtml(e.outcome)}">${escapeHtml(e.outcome)}${e.error ? `<div class="import-error">${escapeHtml(e.error)}</div>` : ""}</td>
+        <td title="${escapeHtml(e.storeIds.join(", "))}">${e.storeIds.length}</td>
+        <td>${escapeHtml(e.trigger)}</td>
+      </tr>`).join("") || '<tr><td colspan="6" style="text-align:center; color:#999;">Nothing sent yet</td></tr>';
+  } catch (err) {
+    reminderLogBody.innerHTML = `<tr><td colspan="6" class="import-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+document.getElementById("remindersBtn").addEventListener("click", async () => {
+  remindersMsg.textContent = "";
+  reminderRulesBody.innerHTML = "";
+  remindersModal.style.display = "flex";
+  loadReminderLog();
+  try {
+    const data = await apiRequest("/api/reminders/rules", "GET");
+    data.rules.forEach(addReminderRuleRow);
+  } catch (err) {
+    remindersMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("addReminderRuleBtn").addEventListener("click", () => addReminderRuleRow());
+document.getElementById("remindersCancelBtn").addEventListener("click", () => {
+  remindersModal.style.display = "none";
+});
+
+document.getElementById("remindersSaveBtn").addEventListener("click", async () => {
+  const rules = [...reminderRulesBody.querySelectorAll("tr")].map(tr => ({
+    category: tr.querySelector(".r-category").value,
+    enabled: tr.querySelector(".r-enabled").checked,
+    remindDaysBefore: tr.querySelector(".r-before").value,
+    escalateDaysAfter: tr.querySelector(".r-after").value,
+    escalationGroupId: tr.querySelector(".r-group").value.trim(),
+    escalationGroupName: tr.querySelector(".r-group-name").value.trim()
+  }));
+  remindersMsg.textContent = "";
+  try {
+    await apiRequest("/api/reminders/rules", "PUT", { rules });
+    remindersModal.style.display = "none";
+  } catch (err) {
+    remindersMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("runRemindersBtn").addEventListener("click", async (e) => {
+  const btn = e.target;
+  btn.disabled = true;
+  remindersMsg.textContent = "";
+  try {
+    const s = await apiRequest("/api/reminders/run", "POST");
+    remindersMsg.textContent = `${s.sent} sent, ${s.skipped} with no open stores, ${s.failed} failed.`;
+    loadReminderLog();
+  } catch (err) {
+    remindersMsg.textContent = "Error: " + err.message;
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+// --- STORE TASK PROJECTS (admin) ---
+const storeProjectsModal = document.getElementById("storeProjectsModal");
+const projectBody = document.getElementById("projectBody");
+const projectsMsg = document.getElementById("projectsMsg");
+const projectStatusFilter = document.getElementById("projectStatusFilter");
+let projectReport = null;
+
+const PROJECT_STATUS_LABELS = { matched: "Matched", unmatched: "No project", duplicate: "Duplicates" };
+
+function renderStoreProjects() {
+  const r = projectReport;
+  document.getElementById("projectPattern").value = r.settings.pattern || "";
+  document.getElementById("projectPattern").placeholder = r.settings.defaultPattern;
+  document.getElementById("projectAutoProvision").checked = r.settings.autoProvision;
+  document.getElementById("projectCounts").textContent =
+    `${r.counts.total} stores: ${r.counts.matched} matched, ${r.counts.unmatched} without a project, ${r.counts.duplicate} with duplicates`;
+  document.getElementById("projectCandidates").innerHTML = r.candidates
+    .map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.title)}</option>`).join("");
+
+  const stores = r.stores.filter(s => !projectStatusFilter.value || s.status === projectStatusFilter.value);
+  projectBody.innerHTML = stores.map(s => `
+    <tr data-store="${escapeHtml(s.storeId)}">
+      <td>${s.status === "unmatched" ? '<input type="checkbox" class="project-select">' : ""}</td>
+      <td><strong>${escapeHtml(s.storeId)}</strong><br>${escapeHtml(s.name)}</td>
+      <td>${s.installationId ? `${escapeHtml(s.title)}<br><code>${escapeHtml(s.installationId)}</code>${s.source === "mapping" ? ' <span class="sub-label">(mapped)</span>' : ""}` : "-"}</td>
+      <td class="project-${s.status}">${PROJECT_STATUS_LABELS[s.status]}${s.duplicates.map(d => `<div class="import-warning">Also: ${escapeHtml(d.title)} <code>${escapeHtml(d.id)}</code></div>`).join("")}</td>
+      <td><input type="text" class="project-mapping" list="projectCandidates" placeholder="By title" value="${s.source === "mapping" ? escapeHtml(s.installationId) : ""}"></td>
+    </tr>`).join("") || '<tr><td colspan="5" style="text-align:center; color:#999;">No stores</td></tr>';
+
+  const issues = [];
+  if (r.orphanProjects.length) {
+    issues.push(`<div class="import-warning">Projects for store IDs no Staffbase user has: ${r.orphanProjects.map(p => `${escapeHtml(p.title)} <code>${escapeHtml(p.installationId)}</code>`).join(", ")}</div>`);
+  }
+  if (r.staleMappings.length) {
+    issues.push(`<div class="import-error">Mapped projects that no longer exist (saving removes these mappings): ${r.staleMappings.map(m => `${escapeHtml(m.storeId)} &rarr; <code>${escapeHtml(m.installationId)}</code>`).join(", ")}</div>`);
+  }
+  document.getElementById("projectIssues").innerHTML = issues.join("");
+  document.getElementById("projectSelectAll").checked = false;
+}
+
+async function loadStoreProjects() {
+  projectBody.innerHTML = '<tr><td colspan="5" style="text-align:center;">Loading...</td></tr>';
+  try {
+    projectReport = await apiRequest("/api/store-projects", "GET");
+    renderStoreProjects();
+  } catch (err) {
+    projectBody.innerHTML = `<tr><td colspan="5" class="import-error">${escapeHtml(err.message)}</td></tr>`;
+  }
+}
+
+document.getElementById("storeProjectsBtn").addEventListener("click", () => {
+  projectsMsg.textContent = "";
+  projectStatusFilter.value = "";
+  storeProjectsModal.style.display = "flex";
+  loadStoreProjects();
+});
+document.getElementById("storeProjectsCloseBtn").addEventListener("click", () => {
+  storeProjectsModal.style.display = "none";
+});
+projectStatusFilter.addEventListener("change", () => { if (projectReport) renderStoreProjects(); });
+document.getElementById("projectSelectAll").addEventListener("change", (e) => {
+  projectBody.querySelectorAll(".project-select").forEach(cb => { cb.checked = e.target.checked; });
+});
+
+document.getElementById("storeProjectsSaveBtn").addEventListener("click", async () => {
+  if (!projectReport) return;
+  // Rows hidden by the filter keep their current mapping
+  const stale = new Set(projectReport.staleMappings.map(m => m.storeId));
+  const mappings = Object.fromEntries(Object.entries(projectReport.settings.mappings).filter(([id]) => !stale.has(id)));
+  projectBody.querySelectorAll("tr[data-store]").forEach(tr => {
+    const value = tr.querySelector(".project-mapping").value.trim();
+    if (value) mappings[tr.dataset.store] = value;
+    else delete mappings[tr.dataset.store];
+  });
+  projectsMsg.textContent = "";
+  try {
+    projectReport = await apiRequest("/api/store-projects", "PUT", {
+      pattern: document.getElementById("projectPattern").value.trim(),
+      autoProvision: document.getElementById("projectAutoProvision").checked,
+      mappings
+    });
+    renderStoreProjects();
+    projectsMsg.textContent = "Saved.";
+  } catch (err) {
+    projectsMsg.textContent = "Error: " + err.message;
+  }
+});
+
+document.getElementById("provisionProjectsBtn").addEventListener("click", async (e) => {
+  const storeIds = [...projectBody.querySelectorAll(".project-select:checked")].map(cb => cb.closest("tr").dataset.store);
+  if (storeIds.length === 0) return projectsMsg.textContent = "Select the stores to create projects for.";
+  if (!confirm(`Create a task project for ${storeIds.length} store(s)?`)) return;
+  const btn = e.target;
+  btn.disabled = true;
+  projectsMsg.textContent = "";
+  try {
+    const r = await apiRequest("/api/store-projects/provision", "POST", { storeIds });
+    await loadStoreProjects();
+    projectsMsg.textContent = `${r.created.length} project(s) created` +
+      (r.failed.length ? `, ${r.failed.length} failed: ${r.failed.map(f => `${f.storeId} (${f.error})`).join(", ")}` : ".");
+  } catch (err) {
+    projectsMsg.textContent = "Error: " + err.message;
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+document.addEventListener("DOMContentLoaded", async () => {
+  currentUser = await loadCurrentUser();
+  if (!currentUser) return;
+  applyRole();
+  await loadCategories();
+  if (hasRole("author")) {
+    loadAudienceOptions();
+    loadTemplateOptions();
+    updateVisibilityInfo();
+  }
+  loadPersistedItems();
+});
@@ -2,6 +2,26 @@ const express = require("express");
 const multer = require("multer");
 const path = require("path");
 require("dotenv").config();
+const { httpError } = require("./lib/errors");
+const jobs = require("./lib/jobs");
+const messages = require("./lib/messages");
+const { importTasks } = require("./lib/tasks");
+const { EXPORT_FORMATS, readTable, writeTable } = require("./lib/spreadsheet");
+const audiences = require("./lib/audiences");
+const visibility = require("./lib/visibility");
+const categories = require("./lib/categories");
+const templates = require("./lib/templates");
+const { renderMarkdown, buildPostContent, buildNoticeContent } = require("./lib/content");
+const users = require("./lib/users");
+const auth = require("./lib/auth");
+const audit = require("./lib/audit");
+const progress = require("./lib/progress");
+const reminders = require("./lib/reminders");
+const items = require("./lib/items");
+const staffbase = require("./lib/staffbase");
+const campaigns = require("./lib/campaigns");
+const projects = require("./lib/projects");
+const { createSandbox } = require("./lib/sandbox");
 
 const app = express();
 
@@ -9,8 +29,24 @@ const app = express();
 app.set('etag', false);
 app.disable('view cache');
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client's address
+// (sign-in throttling is per address): a hop count, or "true"
+if (process.env.TRUST_PROXY) {
+  const hops = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(hops) ? Number(hops) : hops === "true" ? true : hops);
+}
+
 // Middleware
 app.use(express.json({ limit: '50mb' })); 
+app.use(auth.authenticate);
+
+// Rollouts keep running after the request that started them has been
+// answered, and jobs, sessions and records live in this process and DATA_DIR.
+// A serverless function is frozen after its response and its instances share
+// none of that, so refuse to start there rather than fail mid-rollout.
+if (process.env.VERCEL) {
+  throw new Error("This portal needs a long-running Node server (npm start); it can't run as a Vercel function");
+}
 
 // Multer Setup
 const upload = multer({ storage: multer.memoryStorage() });
@@ -18,49 +54,36 @@ const upload = multer({ storage: multer.memoryStorage() });
 const STAFFBASE_BASE_URL = process.env.STAFFBASE_BASE_URL;
 const STAFFBASE_TOKEN = process.env.STAFFBASE_TOKEN;
 const STAFFBASE_SPACE_ID = process.env.STAFFBASE_SPACE_ID;
-const HIDDEN_ATTRIBUTE_KEY = process.env.HIDDEN_ATTRIBUTE_KEY;
+// STAFFBASE_SANDBOX=true swaps the live API for the in-memory sandbox
+const SANDBOX = process.env.STAFFBASE_SANDBOX === "true";
+const HIDDEN_ATTRIBUTE_KEY = process.env.HIDDEN_ATTRIBUTE_KEY || (SANDBOX ? "storeId" : undefined);
+// Profile fields stores can be selected by in the Target Stores section
+const STORE_ATTRIBUTE_KEYS = (process.env.STORE_ATTRIBUTE_KEYS || "region,district,format")
+  .split(",").map(k => k.trim()).filter(Boolean);
 
-// --- CONFIG: MANDATORY OPS IDs ---
-const FIXED_OPS_IDS = [
-  "691ca9ba71a3fe45bbe2c8ba", 
-  "691e295f4808c62fcbda1638", 
-  "691e2976bae4ad46ecc44b37"
-];
-
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+users.bootstrapAdmin({ username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD });
 
 // --- API HELPER ---
-async function sb(method, path, body, customHeaders = {}) {
-  const url = `${STAFFBASE_BASE_URL}${path}`;
-  const options = {
-    method,
-    headers: {
-      "Authorization": `Basic ${STAFFBASE_TOKEN}`, 
-      "Content-Type": "application/json",
-      ...customHeaders 
-    }
-  };
-  if (body) options.body = JSON.stringify(body);
-
-  let retries = 3;
-  while (retries > 0) {
-    const res = await fetch(url, options);
-    if (res.status === 429) {
-      console.warn(`[API 429] Rate limit hit. Waiting 2s...`);
-      await delay(2000);
-      retries--;
-      continue;
-    }
-    if (!res.ok) {
-      const txt = await res.text();
-      console.error(`[API Error] ${method} ${path}: ${res.status} - ${txt}`); 
-      throw new Error(`API ${res.status}: ${txt}`);
-    }
-    if (res.status === 204) return {};
-    return res.json();
-  }
-  throw new Error("API Timeout after retries");
-}
+const sandbox = SANDBOX ? createSandbox({
+  hiddenAttributeKey: HIDDEN_ATTRIBUTE_KEY,
+  stores: Number(process.env.SANDBOX_STORES) || 12,
+  failureRate: Number(process.env.SANDBOX_FAILURE_RATE) || 0,
+  failureStatuses: (process.env.SANDBOX_FAILURE_STATUSES || "503").split(",").map(Number).filter(Boolean),
+  latencyMs: Number(process.env.SANDBOX_LATENCY_MS) || 0,
+  opsGroupIds: [visibility.OPS_GROUP_ID]
+}) : null;
+if (sandbox) console.log("[SANDBOX] Using the in-memory Staffbase sandbox; nothing is sent to Staffbase");
+
+const staffbaseClient = staffbase.createClient({
+  baseUrl: sandbox ? "http://sandbox.local" : STAFFBASE_BASE_URL,
+  token: STAFFBASE_TOKEN,
+  timeoutMs: Number(process.env.STAFFBASE_TIMEOUT_MS) || 30000,
+  maxRetries: Number(process.env.STAFFBASE_MAX_RETRIES ?? 4),
+  concurrency: Number(process.env.STAFFBASE_CONCURRENCY) || 8,
+  ...(sandbox && { fetchImpl: sandbox.fetch })
+});
+const sb = staffbaseClient.request;
+const { isNotFound } = staffbase;
 
 // --- LOGIC HELPERS ---
 
@@ -74,21 +97,38 @@ function cleanText(text) {
     .trim();
 }
 
-async function getOpsGroupMembers() {
-  const OPS_GROUP_ID = "692a1bc3f912873d71f98e39";
+async function getGroupMembers(groupId) {
   try {
-    console.log(`[OPS] Fetching members for group: ${OPS_GROUP_ID}`);
-    const filter = encodeURIComponent(`groups eq "${OPS_GROUP_ID}"`);
+    console.log(`[VISIBILITY] Fetching members for group: ${groupId}`);
+    const filter = encodeURIComponent(`groups eq "${groupId}"`);
     const headers = { "Accept": "application/vnd.staffbase.accessors.users-search.v1+json" };
-    const res = await sb("GET", `/users/search?filter=${filter}`, null, headers);
-    if (res.data) return res.data;
-    return [];
+    return await staffbaseClient.collect(`/users/search?filter=${filter}`, { headers });
   } catch (e) {
-    console.warn("[OPS] Failed to fetch Ops members:", e.message);
+    console.warn(`[VISIBILITY] Failed to fetch members of group ${groupId}:`, e.message);
     return [];
   }
 }
 
+// Expands the category's default visibility plus the editable visibility rules
+// into concrete user IDs. Each resolved rule keeps its member count so the UI
+// can show who else sees the channel.
+async function resolveVisibility(category) {
+  const categoryDefaults = (categories.getCategory(category)?.visibility || [])
+    .map(v => ({ category, type: v.type, id: v.id, name: v.name || "", source: "category" }));
+  const rules = [...categoryDefaults, ...visibility.rulesFor(category).map(r => ({ ...r, source: "rule" }))];
+  const resolved = await Promise.all(rules.map(async (rule) => {
+    const userIds = rule.type === "group"
+      ? (await getGroupMembers(rule.id)).map(u => u.id)
+      : [rule.id];
+    return { ...rule, userIds };
+  }));
+  const accessorIDs = [...new Set(resolved.flatMap(r => r.userIds))];
+  return {
+    rules: resolved.map(({ userIds, ...rule }) => ({ ...rule, memberCount: userIds.length })),
+    accessorIDs
+  };
+}
+
 // --- CACHED USER MAP (Sustainable Optimization) ---
 let cachedUserMap = null;
 let userMapLastFetch = 0;
@@ -100,364 +140,1845 @@ async function getAllUsersMap(forceRefresh = false) {
   }
 
   console.log("[CACHE] Refreshing User Map...");
-  const userMap = new Map(); 
-  let offset = 0; const limit = 100;
-  
-  while (true) {
-    try {
-      const res = await sb("GET", `/users?limit=${limit}&offset=${offset}`);
-      if (!res.data || res.data.length === 0) break;
-
-      for (const user of res.data) {
-        const storeId = user.profile?.[HIDDEN_ATTRIBUTE_KEY];
-        if (storeId) {
-          userMap.set(String(storeId), {
-            id: user.id,
-            csvId: String(storeId),
-            name: `${user.firstName || ''} ${user.lastName || ''}`.trim()
-          });
-        }
-      }
-      if (res.data.length < limit) break;
-      offset += limit;
-      if (offset % 1000 === 0) await delay(200); 
-    } catch (e) { break; }
+  const userMap = new Map();
+  for await (const user of staffbaseClient.paginate("/users")) {
+    const storeId = user.profile?.[HIDDEN_ATTRIBUTE_KEY];
+    if (!storeId) continue;
+    const attributes = {};
+    STORE_ATTRIBUTE_KEYS.forEach(key => {
+      const value = user.profile?.[key];
+      if (value !== undefined && value !== null && value !== "") attributes[key] = String(value);
+    });
+    userMap.set(String(storeId), {
+      id: user.id,
+      csvId: String(storeId),
+      name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+      attributes
+    });
   }
-  
+
   cachedUserMap = userMap;
   userMapLastFetch = Date.now();
   return userMap;
 }
 
-function parseTaskCSV(buffer) {
+// --- STORE TASK PROJECTS ---
+// Explicit mappings and title matching live in lib/projects; this is the
+// Staffbase side: reading the space's installations and creating projects.
+const TASK_PLUGIN_ID = "tasks";
+
+function listInstallations() {
+  return staffbaseClient.collect(`/spaces/${STAFFBASE_SPACE_ID}/installations`);
+}
+
+async function discoverProjectsByStoreIds(storeIds) {
+  const found = projects.resolve(await listInstallations()).projects;
+  const projectMap = {};
+  storeIds.forEach(id => { if (found[id]) projectMap[id] = found[id].installationId; });
+  return projectMap;
+}
+
+// Creates a task project for each store, visible to the store user, and maps
+// the store to it. Returns { created: storeId -> installationId, errors:
+// storeId -> message }; the batch is audited as one "provision" entry.
+async function provisionProjects(storeIds, actor) {
+  const userMap = await getAllUsersMap();
+  const created = {};
+  const errors = {};
+  for (let i = 0; i < storeIds.length; i += TASK_CHUNK_SIZE) {
+    await Promise.all(storeIds.slice(i, i + TASK_CHUNK_SIZE).map(async storeId => {
+      const user = userMap.get(storeId);
+      if (!user) { errors[storeId] = "No Staffbase user has this store ID"; return; }
+      try {
+        const title = projects.provisionTitle(storeId);
+        const inst = await sb("POST", `/spaces/${STAFFBASE_SPACE_ID}/installations`, {
+          pluginID: TASK_PLUGIN_ID,
+          config: { localization: { en_US: { title }, de_DE: { title } } },
+          accessorIDs: [user.id]
+        });
+        projects.setMapping(storeId, inst.id);
+        created[storeId] = inst.id;
+      } catch (err) {
+        errors[storeId] = err.message;
+      }
+    }));
+  }
+
+  const done = Object.keys(created).length;
+  const failed = Object.keys(errors).length;
+  audit.record({
+    action: "provision",
+    actor,
+    storeIds,
+    outcome: failed === 0 ? "success" : done ? "partial" : "failure",
+    details: `${done} Store task project(s) created` + (failed ? `, ${failed} failed` : ""),
+    error: failed ? Object.entries(errors).map(([id, msg]) => `${id}: ${msg}`).join("; ") : null
+  });
+  console.log(`[PROJECTS] Provisioned ${done} project(s)${failed ? `, ${failed} failed` : ""}`);
+  return { created, errors };
+}
+
+// Every store user with the project its tasks go to, plus what needs an admin's
+// attention: stores without a project, titles naming a store twice, projects
+// for store IDs no user has, and mappings to deleted installations.
+async function storeProjectReport() {
+  const [userMap, installations] = await Promise.all([getAllUsersMap(), listInstallations()]);
+  const settings = projects.getSettings();
+  const { projects: found, staleMappings } = projects.resolve(installations, settings);
+
+  const stores = [...userMap.values()].map(u => {
+    const p = found[u.csvId];
+    return {
+      storeId: u.csvId,
+      name: u.name,
+      installationId: p?.installationId || null,
+      title: p?.title || null,
+      source: p?.source || null,
+      duplicates: p?.duplicates || [],
+      status: !p ? "unmatched" : p.duplicates.length ? "duplicate" : "matched"
+    };
+  }).sort((a, b) => a.storeId.localeCompare(b.storeId, undefined, { numeric: true }));
+
+  const counts = { total: stores.length, matched: 0, unmatched: 0, duplicate: 0 };
+  stores.forEach(s => counts[s.status]++);
+  return {
+    settings: { ...settings, defaultPattern: projects.DEFAULT_TITLE },
+    counts,
+    stores,
+    orphanProjects: Object.entries(found)
+      .filter(([storeId, p]) => !userMap.has(storeId) && p.source === "title")
+      .map(([storeId, p]) => ({ storeId, installationId: p.installationId, title: p.title })),
+    staleMappings,
+    candidates: installations.filter(i => i.pluginID !== "news").map(i => ({ id: i.id, title: projects.projectTitle(i) }))
+  };
+}
+
+// Finds the task project of every result that has none yet (creating missing
+// ones when auto-provisioning is on); returns the results that can get tasks.
+async function assignProjects(job, results, actor) {
+  const unmapped = results.filter(r => !r.installationId);
+  const projectMap = unmapped.length ? await discoverProjectsByStoreIds(unmapped.map(r => r.storeId)) : {};
+  let provisionErrors = {};
+  const missing = unmapped.map(r => r.storeId).filter(id => !projectMap[id]);
+  if (missing.length && projects.getSettings().autoProvision) {
+    const { created, errors } = await provisionProjects(missing, actor);
+    Object.assign(projectMap, created);
+    provisionErrors = errors;
+  }
+
+  const targets = [];
+  results.forEach(r => {
+    if (!r.installationId) r.installationId = projectMap[r.storeId] || null;
+    if (r.installationId) { r.reason = null; targets.push(r); }
+    else {
+      r.status = "skipped";
+      r.reason = provisionErrors[r.storeId] ? `Could not create a Store task project: ${provisionErrors[r.storeId]}` : "No Store task project found";
+      reportStore(job, r);
+    }
+  });
+  return targets;
+}
+
+// Splits store IDs into users found in the user map and IDs that don't exist.
+async function verifyStoreIds(storeIds) {
+  const userMap = await getAllUsersMap();
+  const foundUsers = [];
+  const notFoundIds = [];
+  for (const id of storeIds) {
+    const user = userMap.get(String(id));
+    if (user) foundUsers.push(user);
+    else notFoundIds.push(id);
+  }
+  return { foundUsers, notFoundIds };
+}
+
+// --- PUBLISHING ---
+const PUBLISH_MODES = ["draft", "now", "schedule"];
+
+// Validates the publishing options sent by the form. `notify` arrives as the
+// string "true"/"false" from FormData and as a boolean from JSON bodies.
+function parsePublishing({ publishMode, scheduledAt, notify }) {
+  const mode = publishMode || "draft";
+  if (!PUBLISH_MODES.includes(mode)) {
+    throw httpError(400, `Unknown publish mode: ${mode}`);
+  }
+  const publishing = { mode, scheduledAt: null, notify: notify === true || notify === "true" };
+  if (mode === "schedule") {
+    const when = new Date(scheduledAt);
+    if (!scheduledAt || isNaN(when.getTime()) || when.getTime() <= Date.now()) {
+      throw httpError(400, "Scheduled publishing needs a date and time in the future.");
+    }
+    publishing.scheduledAt = when.toISOString();
+  }
+  return publishing;
+}
+
+// Post fields that publish immediately or plan a publication; a draft sends none.
+function publishFields(publishing) {
+  const notificationChannels = publishing.notify ? ["push"] : [];
+  if (publishing.mode === "now") return { published: new Date().toISOString(), notificationChannels };
+  if (publishing.mode === "schedule") return { planned: publishing.scheduledAt, notificationChannels };
+  return {};
+}
+
+// --- CREATE PLAN ---
+// Resolves everything /api/create needs (accessors, tasks, channel name, post
+// body) without writing to Staffbase, so preview and create share one path.
+async function buildCreatePlan(body, file) {
+  let { verifiedUsers, title, department, deadline, manualTasks, teaser } = body;
+  const postBody = typeof body.body === "string" ? body.body : "";
+
+  title = typeof title === "string" ? title.trim() : "";
+  if (!title) throw httpError(400, "Title is required");
+  department = categories.resolveCategoryName(department);
+
+  if (typeof verifiedUsers === 'string') {
+    try { verifiedUsers = JSON.parse(verifiedUsers); } catch(e) {}
+  }
+
+  // Fallback logic
+  if (!verifiedUsers || verifiedUsers.length === 0) {
+     let { storeIds } = body;
+     if (typeof storeIds === 'string') try { storeIds = JSON.parse(storeIds); } catch(e) {}
+     
+     if (storeIds && storeIds.length > 0) {
+       const userMap = await getAllUsersMap();
+       verifiedUsers = [];
+       for(const id of storeIds) {
+         const u = userMap.get(String(id));
+         if(u) verifiedUsers.push(u);
+       }
+     }
+  }
+
+  if (!verifiedUsers || verifiedUsers.length === 0) {
+    throw httpError(400, "No verified users provided.");
+  }
+
+  const storeUserIds = verifiedUsers.map(u => u.id);
+  const storeIds = verifiedUsers.map(u => u.csvId);
+  const publishing = parsePublishing(body);
+
+  // --- VISIBILITY: Store Users + groups/users from the category's visibility rules ---
+  const extraVisibility = await resolveVisibility(department);
+  
+  // Merge all IDs and deduplicate
+  const allAccessorIDs = [...new Set([
+    ...storeUserIds, 
+    ...extraVisibility.accessorIDs
+  ])];
+
+  // --- TASK AGGREGATION ---
+  let allTasks = [];
+  let taskImport = null;
+  
+  // 1. From CSV (rows with errors are skipped and listed in the import report)
+  if (file) {
+    taskImport = importTasks(file.buffer);
+    if (taskImport.errors.length) console.warn(`[CREATE] Skipping ${taskImport.errors.length} invalid CSV task row(s)`);
+    allTasks = allTasks.concat(taskImport.tasks);
+  }
+
+  // 2. From Manual Input (Dynamic Form)
+  if (manualTasks) {
+    try {
+      const parsedManual = JSON.parse(manualTasks);
+      if (Array.isArray(parsedManual)) {
+        // Normalize dates
+        parsedManual.forEach(t => {
+          if (t.dueDate) t.dueDate = new Date(t.dueDate).toISOString();
+        });
+        allTasks = allTasks.concat(parsedManual);
+      }
+    } catch (e) {
+      console.warn("Failed to parse manual tasks:", e);
+    }
+  }
+
+  return {
+    title,
+    department,
+    deadline,
+    channelName: channelNameFor(department, deadline),
+    verifiedUsers,
+    storeIds,
+    storeUserIds,
+    visibility: extraVisibility,
+    accessorIDs: allAccessorIDs,
+    tasks: allTasks,
+    taskImport,
+    publishing,
+    body: postBody,
+    customTeaser: (teaser && teaser.trim()) || null,
+    post: buildPost({ title, department, deadline, body: postBody, teaser, tasks: allTasks, storeCount: storeUserIds.length })
+  };
+}
+
+// --- CHANNEL NAMING: Category + Deadline ---
+function channelNameFor(department, deadline) {
+  return `${department} - ${deadline || "No Deadline"}`;
+}
+
+function buildPost({ title, department, deadline, body, teaser, tasks, storeCount }) {
+  return {
+    title: title,
+    content: buildPostContent({ title, body, tasks }),
+    teaser: (teaser && teaser.trim()) || `Category: ${department}; Targeted Stores: ${storeCount}; Deadline: ${deadline || 'None'}`,
+    kicker: department
+  };
+}
+
+// --- TASK DISTRIBUTION ---
+const TASK_CHUNK_SIZE = 5;
+const busyChannels = new Set(); // channelIds with a job or reminder in flight
+
+function newStoreResult(user) {
+  return { storeId: user.csvId, name: user.name, installationId: null, listId: null, tasks: [], status: "pending", error: null, reason: null };
+}
+
+// Creates the store's task list (once) and any of the message's tasks that
+// aren't recorded as created yet, so it is safe to call again for a store that
+// failed part-way. A list or tasks flagged `outdated` by an edit are updated
+// first. Returns the number of tasks created in this pass.
+async function distributeToStore(result, title, tasks) {
+  const before = result.tasks.length;
+  result.status = "running";
+  result.error = null;
+  try {
+    if (!result.listId) {
+      const listRes = await sb("POST", `/tasks/${result.installationId}/lists`, { name: title });
+      result.listId = listRes.id;
+    } else if (result.listOutdated) {
+      await sb("PATCH", `/tasks/${result.installationId}/lists/${result.listId}`, { name: title });
+    }
+    delete result.listOutdated;
+    for (const entry of result.tasks.filter(t => t.outdated)) {
+      const t = tasks[entry.index];
+      await sb("PATCH", `/tasks/${result.installationId}/task/${entry.id}`, {
+        title: t.title,
+        description: t.description,
+        dueDate: t.dueDate
+      });
+      entry.title = t.title;
+      delete entry.outdated;
+    }
+    for (let i = 0; i < tasks.length; i++) {
+      if (result.tasks.some(t => t.index === i)) continue;
+      const t = tasks[i];
+      const taskRes = await sb("POST", `/tasks/${result.installationId}/task`, {
+        taskListId: result.listId,
+        title: t.title,
+        description: t.description,
+        dueDate: t.dueDate,
+        status: "OPEN",
+        assigneeIds: [] 
+      });
+      result.tasks.push({ index: i, title: t.title, id: taskRes.id });
+    }
+    result.status = "done";
+  } catch (e) {
+    result.status = "failed";
+    result.error = e.message;
+  }
+  return result.tasks.length - before;
+}
+
+function reportStore(job, result) {
+  jobs.setStoreStatus(job, result.storeId, result.status, {
+    name: result.name,
+    installationId: result.installationId,
+    listId: result.listId,
+    tasksCreated: result.tasks.length,
+    error: result.error,
+    reason: result.reason
+  });
+}
+
+// Whether a store still needs a distribution pass: it failed, never finished
+// (the job stopped or the process restarted mid-rollout), or an edit left it
+// with outdated or missing tasks.
+function needsRetry(record, r) {
+  if (["failed", "pending", "running"].includes(r.status)) return true;
+  if (r.status !== "done") return false;
+  return !!r.listOutdated || r.tasks.some(t => t.outdated) ||
+    record.tasks.some((_, i) => !r.tasks.some(t => t.index === i));
+}
+
+// Runs a job's tasks step. If it stops early (e.g. the project lookup fails),
+// every store it left unfinished is marked failed with the error, so the
+// message shows them and they can be retried.
+async function runTasksStep(job, record, distribute) {
   try {
-    const text = buffer.toString("utf8");
-    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-    const tasks = [];
-    lines.forEach(line => {
-      const [title, desc, date] = line.split(';').map(s => s ? s.trim() : '');
-      if (title) {
-        let dueDate = null;
-        if(date) dueDate = new Date(date).toISOString();
-        tasks.push({ title, description: desc || "", dueDate });
+    await jobs.runStep(job, "tasks", distribute);
+  } catch (err) {
+    messages.storeResults(record).filter(r => needsRetry(record, r) && r.status !== "failed").forEach(r => {
+      r.status = "failed";
+      r.error = err.message;
+      reportStore(job, r);
+    });
+    messages.saveMessage(record);
+    throw err;
+  }
+}
+
+// Distributes to `results` TASK_CHUNK_SIZE stores at a time, persisting the
+// message record after every chunk so a crash mid-rollout keeps what was done.
+async function distributeToStores(job, record, results) {
+  let created = 0;
+  for (let i = 0; i < results.length; i += TASK_CHUNK_SIZE) {
+    const chunk = results.slice(i, i + TASK_CHUNK_SIZE);
+    chunk.forEach(r => { r.status = "running"; reportStore(job, r); });
+    const counts = await Promise.all(chunk.map(r => distributeToStore(r, record.title, record.tasks)));
+    created += counts.reduce((a, b) => a + b, 0);
+    chunk.forEach(r => reportStore(job, r));
+    messages.saveMessage(record);
+  }
+  return created;
+}
+
+// --- CREATE JOB ---
+const CREATE_JOB_STEPS = [
+  { key: "channel", label: "Create channel" },
+  { key: "post", label: "Create post" },
+  { key: "tasks", label: "Distribute tasks" }
+];
+
+async function runCreateJob(job, plan) {
+  const { title, department, deadline, channelName, storeIds, accessorIDs, tasks: allTasks, post, publishing } = plan;
+  const now = Date.now();
+
+  // A. Create Channel
+  const channelRes = await jobs.runStep(job, "channel", () =>
+    sb("POST", `/spaces/${STAFFBASE_SPACE_ID}/installations`, {
+      pluginID: "news",
+      externalID: `${CHANNEL_MARKER}${now}`,
+      config: {
+        localization: { en_US: { title: channelName },de_DE: { title: channelName } }
+      },
+      accessorIDs: accessorIDs
+    })
+  );
+  const channelId = channelRes.id;
+  busyChannels.add(channelId);
+  try {
+    // B. Create Post
+    const postRes = await jobs.runStep(job, "post", () =>
+      sb("POST", `/channels/${channelId}/posts`, {
+        contents: { en_US: post },
+        ...publishFields(publishing)
+      })
+    );
+
+    const record = messages.saveMessage({
+      channelId,
+      postId: postRes.id,
+      title,
+      department,
+      deadline: deadline || null,
+      storeIds,
+      tasks: allTasks,
+      body: plan.body,
+      customTeaser: plan.customTeaser,
+      publishing,
+      createdBy: plan.createdBy,
+      createdAt: new Date(now).toISOString(),
+      stores: Object.fromEntries(plan.verifiedUsers.map(u => [u.csvId, newStoreResult(u)]))
+    });
+    syncIndex(record, publishingStatus(publishing));
+
+    // C. Distribute Tasks
+    let taskCount = 0;
+    await runTasksStep(job, record, async () => {
+      const results = messages.storeResults(record);
+      if (allTasks.length === 0) {
+        results.forEach(r => { r.status = "skipped"; r.reason = "No tasks"; reportStore(job, r); });
+        messages.saveMessage(record);
+        return;
       }
+      const targets = await assignProjects(job, results, plan.createdBy);
+      taskCount = await distributeToStores(job, record, targets);
     });
-    return tasks;
-  } catch (e) { return []; }
+
+    console.log(`[CREATE] Job ${job.id} finished: channel ${channelId}, ${taskCount} tasks`);
+    return { channelId, postId: postRes.id, taskCount, stores: messages.summarizeStores(record) };
+  } finally {
+    busyChannels.delete(channelId);
+    const record = messages.getMessage(channelId);
+    if (record) syncIndex(record);
+  }
 }
 
-async function discoverProjectsByStoreIds(storeIds) {
-  const projectMap = {};
-  let offset = 0; const limit = 100;
-  while(true) {
-    const res = await sb("GET", `/spaces/${STAFFBASE_SPACE_ID}/installations?limit=${limit}&offset=${offset}`);
-    if(!res.data || res.data.length === 0) break;
-    
-    res.data.forEach(inst => {
-      const title = inst.config?.localization?.en_US?.title || "";
-      const match = title.match(/^Store\s*#?\s*(\w+)$/i);
-      if(match && storeIds.includes(match[1])) {
-        projectMap[match[1]] = inst.id;
+// --- RETRY JOB ---
+const RETRY_JOB_STEPS = [
+  { key: "tasks", label: "Retry failed stores" }
+];
+
+async function runRetryJob(job, record, failed, actor) {
+  let taskCount = 0;
+  busyChannels.add(record.channelId);
+  try {
+    await runTasksStep(job, record, async () => {
+      // Stores cut off before the project lookup don't have one yet
+      const targets = await assignProjects(job, failed, actor);
+      taskCount = await distributeToStores(job, record, targets);
+    });
+  } finally {
+    busyChannels.delete(record.channelId);
+    progress.invalidate(record.channelId);
+    syncIndex(record);
+  }
+  console.log(`[RETRY] Job ${job.id} finished: channel ${record.channelId}, ${taskCount} tasks`);
+  return { channelId: record.channelId, postId: record.postId, taskCount, stores: messages.summarizeStores(record) };
+}
+
+// --- EDIT JOB ---
+// Applies an edit to a message the portal created: post and channel first,
+// then stores (removed ones lose their task list, added ones get the full set)
+// and finally the tasks, which distributeToStore brings up to date per store.
+const EDIT_JOB_STEPS = [
+  { key: "channel", label: "Update channel" },
+  { key: "post", label: "Update post" },
+  { key: "stores", label: "Update stores" },
+  { key: "tasks", label: "Update tasks" }
+];
+
+const TASK_FIELDS = ["title", "description", "dueDate"];
+
+// Existing tasks are edited by `index`; entries without one are new. Tasks
+// can't be removed, since stores may already have worked on them.
+function parseEditedTasks(submitted, existing) {
+  if (!Array.isArray(submitted)) throw httpError(400, "tasks must be an array");
+  const tasks = existing.map(t => ({ ...t }));
+  const seen = new Set();
+  const edited = [];
+  for (const t of submitted) {
+    const title = String(t?.title || "").trim();
+    if (!title) throw httpError(400, "Every task needs a title");
+    const due = t.dueDate ? new Date(t.dueDate) : null;
+    if (due && isNaN(due.getTime())) throw httpError(400, `Task "${title}" has an invalid due date`);
+    const fields = { title, description: String(t.description || "").trim(), dueDate: due ? due.toISOString() : null };
+    if (t.index === undefined || t.index === null) {
+      tasks.push(fields);
+      continue;
+    }
+    const index = Number(t.index);
+    if (!existing[index] || seen.has(index)) throw httpError(400, `Unknown task index: ${t.index}`);
+    seen.add(index);
+    if (TASK_FIELDS.some(f => (existing[index][f] || null) !== (fields[f] || null))) {
+      tasks[index] = { ...existing[index], ...fields };
+      edited.push(index);
+    }
+  }
+  if (seen.size !== existing.length) throw httpError(400, "Tasks can be edited or added, but not removed");
+  return { tasks, edited, added: tasks.length - existing.length };
+}
+
+// Works out what an edit changes. Fields left out of the body keep their
+// current value.
+async function buildEditPlan(record, body) {
+  const title = body.title !== undefined ? String(body.title).trim() : record.title;
+  if (!title) throw httpError(400, "Title is required");
+  const department = body.department !== undefined ? categories.resolveCategoryName(body.department) : record.department;
+  const deadline = body.deadline !== undefined ? (body.deadline || null) : record.deadline;
+  const postBody = typeof body.body === "string" ? body.body : (record.body || "");
+  const customTeaser = body.teaser !== undefined ? (String(body.teaser || "").trim() || null) : record.customTeaser;
+
+  let storeIds = record.storeIds;
+  if (body.storeIds !== undefined) {
+    if (!Array.isArray(body.storeIds)) throw httpError(400, "storeIds must be an array");
+    storeIds = [...new Set(body.storeIds.map(id => String(id).trim()).filter(Boolean))];
+    if (storeIds.length === 0) throw httpError(400, "A message needs at least one store");
+  }
+  const { foundUsers, notFoundIds } = await verifyStoreIds(storeIds);
+  const current = new Set(Object.keys(record.stores || {}));
+  const addedUsers = foundUsers.filter(u => !current.has(u.csvId));
+  if (notFoundIds.some(id => !current.has(id))) {
+    throw httpError(400, `Unknown store IDs: ${notFoundIds.filter(id => !current.has(id)).join(", ")}`);
+  }
+  const removedIds = [...current].filter(id => !storeIds.includes(id));
+
+  const taskEdit = body.tasks !== undefined
+    ? parseEditedTasks(body.tasks, record.tasks || [])
+    : { tasks: record.tasks || [], edited: [], added: 0 };
+
+  const changes = [];
+  if (title !== record.title) changes.push("title");
+  if (department !== record.department) changes.push("category");
+  if (deadline !== (record.deadline || null)) changes.push("deadline");
+  if (postBody !== (record.body || "") || customTeaser !== (record.customTeaser || null)) changes.push("body");
+  if (addedUsers.length) changes.push(`${addedUsers.length} store(s) added`);
+  if (removedIds.length) changes.push(`${removedIds.length} store(s) removed`);
+  if (taskEdit.edited.length) changes.push(`${taskEdit.edited.length} task(s) edited`);
+  if (taskEdit.added) changes.push(`${taskEdit.added} task(s) added`);
+  const pendingRemovals = Object.keys(record.removedStores || {}).filter(id => !storeIds.includes(id));
+  if (changes.length === 0 && pendingRemovals.length === 0) throw httpError(400, "Nothing to change");
+
+  const visibility = await resolveVisibility(department);
+  const storeUserIds = foundUsers.map(u => u.id);
+  return {
+    title,
+    department,
+    deadline,
+    body: postBody,
+    customTeaser,
+    storeIds,
+    addedUsers,
+    removedIds,
+    tasks: taskEdit.tasks,
+    editedTasks: taskEdit.edited,
+    changes,
+    channelName: channelNameFor(department, deadline),
+    accessorIDs: [...new Set([...storeUserIds, ...visibility.accessorIDs])],
+    post: buildPost({ title, department, deadline, body: postBody, teaser: customTeaser, tasks: taskEdit.tasks, storeCount: storeIds.length })
+  };
+}
+
+// Removes the task lists of stores taken off the message. A store whose list
+// can't be removed is parked in `record.removedStores` and tried again on the
+// next edit (or when the message is deleted).
+async function removeStores(job, record, storeIds) {
+  const parked = record.removedStores || {};
+  const targets = storeIds.map(id => record.stores[id] || parked[id]);
+  let removed = 0;
+  for (let i = 0; i < targets.length; i += TASK_CHUNK_SIZE) {
+    await Promise.all(targets.slice(i, i + TASK_CHUNK_SIZE).map(async r => {
+      jobs.setStoreStatus(job, r.storeId, "running", { name: r.name });
+      try {
+        if (r.installationId && r.listId) await sb("DELETE", `/tasks/${r.installationId}/lists/${r.listId}`);
+      } catch (err) {
+        // A list that is already gone counts as removed
+        if (!isNotFound(err)) {
+          r.error = `Could not remove task list: ${err.message}`;
+          parked[r.storeId] = r;
+          delete record.stores[r.storeId];
+          jobs.setStoreStatus(job, r.storeId, "failed", { error: r.error });
+          return;
+        }
+      }
+      delete record.stores[r.storeId];
+      delete parked[r.storeId];
+      removed++;
+      jobs.setStoreStatus(job, r.storeId, "done", { reason: "Removed" });
+    }));
+    record.removedStores = parked;
+    messages.saveMessage(record);
+  }
+  if (Object.keys(parked).length === 0) delete record.removedStores;
+  return removed;
+}
+
+async function runEditJob(job, record, plan) {
+  busyChannels.add(record.channelId);
+  try {
+    await jobs.runStep(job, "channel", () =>
+      sb("PUT", `/installations/${record.channelId}`, {
+        config: {
+          localization: { en_US: { title: plan.channelName }, de_DE: { title: plan.channelName } }
+        },
+        accessorIDs: plan.accessorIDs
+      })
+    );
+    await jobs.runStep(job, "post", () =>
+      sb("PUT", `/posts/${record.postId}`, { contents: { en_US: plan.post } })
+    );
+
+    const titleChanged = plan.title !== record.title;
+    Object.assign(record, {
+      title: plan.title,
+      department: plan.department,
+      deadline: plan.deadline,
+      body: plan.body,
+      customTeaser: plan.customTeaser,
+      tasks: plan.tasks,
+      storeIds: plan.storeIds
+    });
+    messages.saveMessage(record);
+
+    let removed = 0;
+    await jobs.runStep(job, "stores", async () => {
+      const pending = Object.keys(record.removedStores || {}).filter(id => !plan.storeIds.includes(id));
+      removed = await removeStores(job, record, [...plan.removedIds, ...pending]);
+      for (const user of plan.addedUsers) {
+        // A store added back before its old list was removed keeps that list
+        const parked = record.removedStores?.[user.csvId];
+        record.stores[user.csvId] = parked ? { ...parked, error: null } : newStoreResult(user);
+        if (parked) delete record.removedStores[user.csvId];
+      }
+      if (record.removedStores && Object.keys(record.removedStores).length === 0) delete record.removedStores;
+      messages.saveMessage(record);
+    });
+
+    let taskCount = 0;
+    await runTasksStep(job, record, async () => {
+      const results = messages.storeResults(record);
+      results.forEach(r => {
+        if (titleChanged && r.listId) r.listOutdated = true;
+        r.tasks.forEach(t => { if (plan.editedTasks.includes(t.index)) t.outdated = true; });
+      });
+      if (record.tasks.length === 0) {
+        results.forEach(r => { r.status = "skipped"; r.reason = "No tasks"; reportStore(job, r); });
+        messages.saveMessage(record);
+        return;
       }
+      const targets = await assignProjects(job, results, plan.editedBy);
+      taskCount = await distributeToStores(job, record, targets);
     });
-    if(res.data.length < limit) break;
-    offset += limit;
+
+    console.log(`[EDIT] Job ${job.id} finished: channel ${record.channelId} (${plan.changes.join(", ") || "cleanup"})`);
+    return {
+      channelId: record.channelId,
+      postId: record.postId,
+      taskCount,
+      storesRemoved: removed,
+      removalsPending: Object.keys(record.removedStores || {}).length,
+      stores: messages.summarizeStores(record)
+    };
+  } finally {
+    busyChannels.delete(record.channelId);
+    progress.invalidate(record.channelId);
+    syncIndex(record);
   }
-  return projectMap;
+}
+
+// Audit outcome of an edit: a store whose list couldn't be removed also makes
+// it partial.
+function editOutcome(plan) {
+  return (result) => {
+    const outcome = rolloutOutcome(result);
+    return {
+      ...outcome,
+      outcome: result.removalsPending ? "partial" : outcome.outcome,
+      details: `${plan.changes.join(", ") || "Retried store removals"}; ${outcome.details}` +
+        (result.removalsPending ? `; ${result.removalsPending} store task list(s) still to remove` : "")
+    };
+  };
+}
+
+// --- TASK PROGRESS ---
+function fetchListTasks(installationId, listId) {
+  return staffbaseClient.collect(`/tasks/${installationId}/task?taskListId=${listId}`);
+}
+
+// Reads every store's task list for the message (a few stores at a time) and
+// summarizes completion. Served from cache unless `refresh` is set.
+async function loadProgress(record, refresh) {
+  const cached = !refresh && progress.getCached(record.channelId);
+  if (cached) return cached;
+
+  const targets = messages.storeResults(record).filter(r => r.installationId && r.listId);
+  const fetched = {};
+  for (let i = 0; i < targets.length; i += TASK_CHUNK_SIZE) {
+    await Promise.all(targets.slice(i, i + TASK_CHUNK_SIZE).map(async r => {
+      try {
+        fetched[r.storeId] = { tasks: await fetchListTasks(r.installationId, r.listId) };
+      } catch (err) {
+        fetched[r.storeId] = { tasks: [], error: err.message };
+      }
+    }));
+  }
+  const summary = progress.summarize(record, fetched);
+  progress.setCached(record.channelId, summary);
+  return summary;
+}
+
+// --- AUDIT ---
+// Runs an action and records its outcome in the audit log. `describe(result)`
+// adds what is only known afterwards (IDs, counts, a "partial" outcome).
+async function audited(entry, action, describe = () => ({})) {
+  try {
+    const result = await action();
+    audit.record({ outcome: "success", ...entry, ...describe(result) });
+    return result;
+  } catch (err) {
+    audit.record({ ...entry, outcome: "failure", error: err.message });
+    throw err;
+  }
+}
+
+// Base entry for an action on an existing message.
+function messageEntry(action, channelId, user) {
+  const record = messages.getMessage(channelId);
+  return { action, actor: auth.actor(user), channelId, postId: record?.postId, storeIds: record?.storeIds };
+}
+
+// Outcome of a create/retry job from its per-store summary.
+function rolloutOutcome(result) {
+  const s = result.stores;
+  return {
+    channelId: result.channelId,
+    postId: result.postId,
+    outcome: s.failed ? "partial" : "success",
+    details: `${result.taskCount} task(s) created; ${s.done} done, ${s.failed} failed, ${s.skipped} skipped of ${s.total} stores`
+  };
+}
+
+// --- SAFE DELETE ---
+// Only news channels this portal created may be deleted: new ones carry the
+// CHANNEL_MARKER externalID, those from before it carry the creation time in
+// milliseconds (LEGACY_CHANNEL_ID), and any with a local record count too.
+const CHANNEL_MARKER = "adhoc-";
+const LEGACY_CHANNEL_ID = /^\d{13}$/;
+
+function isToolChannel(inst, record) {
+  const id = typeof inst.externalID === "string" ? inst.externalID : "";
+  return inst.pluginID === "news" && (id.startsWith(CHANNEL_MARKER) || LEGACY_CHANNEL_ID.test(id) || !!record);
+}
+
+async function getToolChannel(channelId, action = "deleted") {
+  let inst;
+  try {
+    inst = await sb("GET", `/installations/${encodeURIComponent(channelId)}`);
+  } catch (err) {
+    if (isNotFound(err)) throw httpError(404, "Channel not found");
+    throw err;
+  }
+  const record = messages.getMessage(inst.id);
+  if (!isToolChannel(inst, record)) throw httpError(403, `Only message channels created by this portal can be ${action}`);
+  return { inst, record };
+}
+
+// Removes the task lists a message created in store projects. Cleared results
+// are saved as we go, so a partly failed cleanup can simply be run again.
+async function removeStoreTaskLists(record) {
+  const targets = [...messages.storeResults(record), ...Object.values(record.removedStores || {})]
+    .filter(r => r.installationId && r.listId);
+  const failed = [];
+  for (let i = 0; i < targets.length; i += TASK_CHUNK_SIZE) {
+    await Promise.all(targets.slice(i, i + TASK_CHUNK_SIZE).map(async r => {
+      try {
+        await sb("DELETE", `/tasks/${r.installationId}/lists/${r.listId}`);
+      } catch (err) {
+        // A list that is already gone counts as removed
+        if (!isNotFound(err)) {
+          failed.push({ storeId: r.storeId, error: err.message });
+          return;
+        }
+      }
+      r.listId = null;
+      r.tasks = [];
+    }));
+    messages.saveMessage(record);
+  }
+  return { removed: targets.length - failed.length, failed };
+}
+
+// Reminder/escalation channels go with the message. They hold nothing that
+// needs keeping, so one that can't be removed is only logged.
+async function removeNoticeChannels(record) {
+  for (const notice of record.notices || []) {
+    if (!notice.noticeChannelId) continue;
+    try {
+      await sb("DELETE", `/installations/${encodeURIComponent(notice.noticeChannelId)}`);
+    } catch (err) {
+      if (!isNotFound(err)) console.warn(`[DELETE] Notice channel ${notice.noticeChannelId} kept:`, err.message);
+    }
+  }
+}
+
+// The channel is only deleted once every store task list is gone; otherwise
+// the record (and with it the remaining list IDs) would be lost.
+async function deleteToolChannel(channelId) {
+  const { inst, record } = await getToolChannel(channelId);
+  if (busyChannels.has(inst.id)) throw httpError(409, "A rollout for this message is still running");
+  let removed = 0;
+  if (record) {
+    const cleanup = await removeStoreTaskLists(record);
+    if (cleanup.failed.length) {
+      throw httpError(502, `Could not remove the task lists of ${cleanup.failed.length} store(s); the channel was kept so the delete can be retried`);
+    }
+    removed = cleanup.removed;
+  }
+  await sb("DELETE", `/installations/${encodeURIComponent(inst.id)}`);
+  if (record) {
+    await removeNoticeChannels(record);
+    messages.deleteMessage(inst.id);
+  }
+  items.removeItem(inst.id);
+  progress.invalidate(inst.id);
+  console.log(`[DELETE] Channel ${inst.id} deleted, ${removed} store task list(s) removed`);
+  return { channelId: inst.id, taskListsRemoved: removed };
+}
+
+// Archiving is a portal-side soft delete: the message leaves the default list
+// and can't be published or retried until restored. Staffbase is not touched.
+function setArchived(channelId, archived, user) {
+  const record = messages.getMessage(channelId);
+  if (!record) throw httpError(404, "Only messages created by this portal can be archived");
+  // A running job saves its own copy of the record and would drop the flag
+  if (busyChannels.has(channelId)) throw httpError(409, "A rollout for this message is still running");
+  if (archived) record.archived = { at: new Date().toISOString(), by: auth.actor(user) };
+  else delete record.archived;
+  messages.saveMessage(record);
+  syncIndex(record);
+  return record;
+}
+
+// --- BULK DELETE JOB ---
+// Job entries are keyed by channel ID here rather than by store.
+const BULK_DELETE_JOB_STEPS = [
+  { key: "delete", label: "Delete messages" }
+];
+
+async function runBulkDeleteJob(job, channelIds, user) {
+  await jobs.runStep(job, "delete", async () => {
+    for (const channelId of channelIds) {
+      jobs.setStoreStatus(job, channelId, "running");
+      try {
+        const { taskListsRemoved } = await auditedDelete(channelId, user);
+        jobs.setStoreStatus(job, channelId, "done", { taskListsRemoved });
+      } catch (err) {
+        jobs.setStoreStatus(job, channelId, "failed", { error: err.message });
+      }
+    }
+  });
+  const failed = Object.values(job.stores).filter(s => s.status === "failed").length;
+  return { deleted: channelIds.length - failed, failed };
+}
+
+function auditedDelete(channelId, user) {
+  return audited(messageEntry("delete", channelId, user), () => deleteToolChannel(channelId),
+    (out) => ({ details: `${out.taskListsRemoved} store task list(s) removed` }));
+}
+
+function auditedArchive(channelId, archived, user) {
+  return audited(messageEntry(archived ? "archive" : "restore", channelId, user), () => setArchived(channelId, archived, user));
+}
+
+function parseChannelIds(body) {
+  const ids = Array.isArray(body.channelIds) ? [...new Set(body.channelIds.map(String).filter(Boolean))] : [];
+  if (ids.length === 0) throw httpError(400, "channelIds must be a non-empty array");
+  return ids;
+}
+
+// --- CAMPAIGN UPLOAD ---
+// Each message of a campaign sheet goes through buildCreatePlan like a single
+// create. Store IDs are checked against Staffbase first so unknown ones are
+// reported rather than silently left out.
+async function buildCampaignPlan(file, user) {
+  const campaign = campaigns.parseCampaign(file);
+  const errors = [...campaign.errors];
+  const plans = [];
+  const userMap = await getAllUsersMap();
+
+  for (const m of campaign.messages) {
+    const found = m.storeIds.filter(id => userMap.has(id));
+    const missing = m.storeIds.filter(id => !userMap.has(id));
+    if (missing.length) errors.push({ row: m.row, message: `Unknown store ID(s): ${missing.join(", ")}` });
+    if (found.length === 0) continue;
+    try {
+      const plan = await buildCreatePlan({
+        storeIds: found,
+        title: m.title,
+        department: m.department,
+        deadline: m.deadline,
+        body: m.body,
+        teaser: m.teaser,
+        publishMode: m.publishMode,
+        scheduledAt: m.scheduledAt,
+        notify: m.notify,
+        manualTasks: JSON.stringify(m.tasks)
+      }, null);
+      plan.createdBy = auth.actor(user);
+      plans.push({ row: m.row, plan });
+    } catch (err) {
+      errors.push({ row: m.row, message: err.message });
+    }
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    valid: errors.length === 0,
+    messages: campaign.messages.map(m => ({
+      row: m.row,
+      title: m.title,
+      department: m.department,
+      deadline: m.deadline,
+      channelName: m.department ? channelNameFor(m.department, m.deadline) : null,
+      storeCount: m.storeIds.length,
+      audiences: m.audiences,
+      taskCount: m.tasks.length,
+      publishMode: m.publishMode
+    })),
+    errors,
+    warnings: campaign.warnings,
+    plans
+  };
+}
+
+// --- CAMPAIGN JOB ---
+// One entry per message, keyed by its sheet row. Every message is created by
+// its own create job (pollable and audited like a form submission), one
+// message at a time.
+const CAMPAIGN_JOB_STEPS = [
+  { key: "messages", label: "Create messages" }
+];
+
+async function runCampaignJob(job, plans) {
+  const totals = { total: 0, done: 0, failed: 0, skipped: 0 };
+  let taskCount = 0;
+  await jobs.runStep(job, "messages", async () => {
+    for (const { row, plan } of plans) {
+      const key = `row-${row}`;
+      jobs.setStoreStatus(job, key, "running");
+      const rollout = jobs.createJob("create", CREATE_JOB_STEPS);
+      plan.verifiedUsers.forEach(u => jobs.setStoreStatus(rollout, u.csvId, "pending", { name: u.name }));
+      const entry = { action: "create", actor: plan.createdBy, storeIds: plan.storeIds };
+      await jobs.runJob(rollout, (j) => audited(entry, () => runCreateJob(j, plan), rolloutOutcome));
+
+      if (rollout.status === "failed") {
+        jobs.setStoreStatus(job, key, "failed", { jobId: rollout.id, error: rollout.error });
+        continue;
+      }
+      const { channelId, stores } = rollout.result;
+      Object.keys(totals).forEach(k => { totals[k] += stores[k]; });
+      taskCount += rollout.result.taskCount;
+      jobs.setStoreStatus(job, key, "done", { jobId: rollout.id, channelId, stores, partial: stores.failed > 0 });
+    }
+  });
+
+  const entries = Object.values(job.stores);
+  console.log(`[CAMPAIGN] Job ${job.id} finished: ${entries.filter(e => e.status === "done").length} of ${plans.length} messages created`);
+  return {
+    messages: {
+      total: plans.length,
+      created: entries.filter(e => e.status === "done").length,
+      partial: entries.filter(e => e.partial).length,
+      failed: entries.filter(e => e.status === "failed").length
+    },
+    stores: totals,
+    taskCount
+  };
+}
+
+// --- REMINDERS & ESCALATIONS ---
+// Notices go out as their own small news channel (visible only to the stores
+// being reminded, or to the escalation group) with a single pushed post, so
+// stores that are already done aren't reminded and the message's own channel
+// keeps its post as the newest one. Their externalID keeps them out of the
+// message list.
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES ?? 60);
+const NOTICE_MARKER = `${CHANNEL_MARKER}notice-`;
+let reminderRunning = false;
+
+async function noticeAccessorIDs(kind, rule, openStores) {
+  if (kind === "escalation") return (await getGroupMembers(rule.escalationGroupId)).map(u => u.id);
+  const userMap = await getAllUsersMap();
+  return openStores.map(s => userMap.get(s.storeId)?.id).filter(Boolean);
+}
+
+async function sendNotice(kind, record, rule, openStores) {
+  const accessorIDs = await noticeAccessorIDs(kind, rule, openStores);
+  if (accessorIDs.length === 0) {
+    throw new Error(kind === "escalation" ? `Escalation group ${rule.escalationGroupId} has no members` : "None of the open stores could be found");
+  }
+  const title = `${kind === "reminder" ? "Reminder" : "Overdue"}: ${record.title}`;
+  const channel = await sb("POST", `/spaces/${STAFFBASE_SPACE_ID}/installations`, {
+    pluginID: "news",
+    externalID: `${NOTICE_MARKER}${kind}-${Date.now()}`,
+    config: { localization: { en_US: { title }, de_DE: { title } } },
+    accessorIDs
+  });
+  const content = buildNoticeContent(kind, record, openStores);
+  const post = await sb("POST", `/channels/${channel.id}/posts`, {
+    contents: { en_US: { title, teaser: cleanText(content).slice(0, 150), content } },
+    ...publishFields({ mode: "now", notify: true })
+  });
+  return { noticeChannelId: channel.id, postId: post.id };
+}
+
+// Checks every message with a deadline and sends the reminder or escalation
+// its category's rule says is due. A failed notice is only logged, so the next
+// run tries again; a sent one is recorded on the message and never repeated.
+async function runReminders(trigger = "schedule") {
+  if (reminderRunning) throw httpError(409, "A reminder run is already in progress");
+  reminderRunning = true;
+  const summary = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+  try {
+    const today = new Date().toISOString().slice(0, 10);
+    for (const { channelId } of messages.listMessages()) {
+      // Read just before marking the channel busy, so a job that ran during
+      // an earlier notice isn't undone by saving a stale copy
+      const record = messages.getMessage(channelId);
+      if (!record) continue;
+      const rule = reminders.ruleFor(record.department);
+      // A notice only counts for the deadline it was sent for, so moving the
+      // deadline re-arms both kinds
+      const sentKinds = (record.notices || []).filter(n => (n.deadline || record.deadline) === record.deadline).map(n => n.kind);
+      const kind = reminders.dueKind(record, rule, today, sentKinds);
+      if (!kind || busyChannels.has(record.channelId)) continue;
+      summary.checked++;
+
+      // Keeps edits, retries, archiving and deletes off the record until the
+      // notice is saved
+      busyChannels.add(record.channelId);
+      const entry = { kind, channelId: record.channelId, title: record.title, trigger };
+      try {
+        const { stores } = await loadProgress(record, true);
+        const openStores = stores
+          .filter(s => s.tracked && s.done < s.total && (kind === "reminder" || s.overdue))
+          .map(s => ({ storeId: s.storeId, name: s.name, openTasks: s.tasks.filter(t => !t.done).map(t => t.title) }));
+        entry.storeIds = openStores.map(s => s.storeId);
+
+        let sent = { noticeChannelId: null, postId: null };
+        if (openStores.length > 0) sent = await sendNotice(kind, record, rule, openStores);
+        const outcome = openStores.length > 0 ? "sent" : "skipped";
+        summary[outcome]++;
+        (record.notices ||= []).push({ kind, deadline: record.deadline, at: new Date().toISOString(), outcome, ...sent, storeIds: entry.storeIds });
+        messages.saveMessage(record);
+        reminders.record({ ...entry, ...sent, outcome });
+      } catch (err) {
+        summary.failed++;
+        console.warn(`[REMINDERS] ${kind} for ${record.channelId} failed:`, err.message);
+        reminders.record({ ...entry, outcome: "failed", error: err.message });
+      } finally {
+        busyChannels.delete(record.channelId);
+      }
+    }
+  } finally {
+    reminderRunning = false;
+  }
+  console.log(`[REMINDERS] ${trigger} run: ${summary.sent} sent, ${summary.skipped} skipped, ${summary.failed} failed`);
+  return summary;
+}
+
+// --- MESSAGE INDEX ---
+// Keeps lib/items in step with the local records; refreshIndex rebuilds it
+// from Staffbase for what only Staffbase knows (post status, channels whose
+// record is missing).
+function publishingStatus(publishing) {
+  if (publishing?.mode === "now") return { status: "Published", scheduledAt: null };
+  if (publishing?.mode === "schedule") return { status: "Scheduled", scheduledAt: publishing.scheduledAt };
+  return { status: "Draft", scheduledAt: null };
+}
+
+function indexEntry(record) {
+  return {
+    channelId: record.channelId,
+    postId: record.postId,
+    title: record.title || "Untitled",
+    department: record.department,
+    deadline: record.deadline || null,
+    storeIds: record.storeIds,
+    userCount: record.storeIds.length,
+    createdAt: record.createdAt,
+    createdBy: record.createdBy?.username || null,
+    archived: !!record.archived,
+    hasReport: true,
+    failedStores: busyChannels.has(record.channelId)
+      ? messages.summarizeStores(record).failed
+      : messages.storeResults(record).filter(r => needsRetry(record, r)).length,
+    deletable: true
+  };
+}
+
+// Post status is only set when it is known to have changed (create, publish,
+// refresh), so a later edit doesn't undo a publication made in Staffbase.
+function syncIndex(record, status) {
+  items.upsertItem({ ...indexEntry(record), ...status });
+}
+
+async function indexChannel(inst, record, storeIdByUser) {
+  const title = inst.config?.localization?.en_US?.title || "Untitled";
+  const entry = record ? indexEntry(record) : {
+    channelId: inst.id,
+    postId: null,
+    title,
+    department: categories.FALLBACK_CATEGORY,
+    deadline: null,
+    storeIds: (inst.accessorIDs || []).map(id => storeIdByUser.get(id)).filter(Boolean),
+    createdAt: inst.createdAt || inst.created || null,
+    createdBy: null,
+    archived: false,
+    hasReport: false,
+    failedStores: 0,
+    deletable: true
+  };
+  entry.userCount = entry.storeIds.length;
+
+  try {
+    const posts = await sb("GET", `/channels/${inst.id}/posts?limit=1`);
+    const p = posts.data?.[0];
+    Object.assign(entry, { status: "Draft", scheduledAt: null });
+    if (p) {
+      entry.postId = entry.postId || p.id;
+      entry.title = p.contents?.en_US?.title || entry.title;
+      if (!record) {
+        const kicker = (p.contents?.en_US?.kicker || "").trim();
+        const deptMatch = (p.contents?.en_US?.teaser || "").match(/(?:Category|Department):\s*([^;]+)/i);
+        entry.department = kicker || (deptMatch ? deptMatch[1].trim() : entry.department);
+      }
+      if (p.published) entry.status = "Published";
+      else if (p.planned) Object.assign(entry, { status: "Scheduled", scheduledAt: p.planned });
+    }
+    return { entry, error: null };
+  } catch (err) {
+    // Keep the last known post status rather than guessing
+    const known = items.getItem(inst.id);
+    Object.assign(entry, { status: known?.status || "Draft", scheduledAt: known?.scheduledAt || null });
+    return { entry, error: err.message };
+  }
+}
+
+let indexRefresh = null;
+
+// Rebuilds the index from every portal channel in the space. Concurrent
+// callers share one scan.
+function refreshIndex() {
+  if (!indexRefresh) {
+    indexRefresh = (async () => {
+      const records = new Map(messages.listMessages().map(r => [r.channelId, r]));
+      const userMap = await getAllUsersMap();
+      const storeIdByUser = new Map([...userMap.values()].map(u => [u.id, u.csvId]));
+
+      const channels = (await staffbaseClient.collect(`/spaces/${STAFFBASE_SPACE_ID}/installations`)).filter(inst =>
+        isToolChannel(inst, records.get(inst.id)) &&
+        // Reminder/escalation channels belong to their message, not the list
+        !(typeof inst.externalID === "string" && inst.externalID.startsWith(NOTICE_MARKER)));
+
+      const indexed = [];
+      for (let i = 0; i < channels.length; i += TASK_CHUNK_SIZE) {
+        indexed.push(...await Promise.all(channels.slice(i, i + TASK_CHUNK_SIZE)
+          .map(inst => indexChannel(inst, records.get(inst.id), storeIdByUser))));
+      }
+      items.replaceAll(indexed.map(r => r.entry));
+      const failed = indexed.filter(r => r.error).length;
+      console.log(`[INDEX] Refreshed: ${indexed.length} message(s)${failed ? `, ${failed} post(s) could not be read` : ""}`);
+      return { indexed: indexed.length, postErrors: failed };
+    })().finally(() => { indexRefresh = null; });
+  }
+  return indexRefresh;
+}
+
+// --- EXPORTS ---
+function exportFormat(query) {
+  const format = query.format || "csv";
+  if (!EXPORT_FORMATS[format]) throw httpError(400, `Unknown export format: ${format} (use csv or xlsx)`);
+  return format;
+}
+
+// Sends rows as a download named "<name>-<date>.<format>".
+function sendTable(res, rows, format, name, sheetName = name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "export";
+  res.setHeader("Content-Type", EXPORT_FORMATS[format].contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${slug}-${new Date().toISOString().slice(0, 10)}.${format}"`);
+  res.send(writeTable(rows, format, sheetName));
 }
 
 // --- ROUTES ---
+// Every API route needs a signed-in user. Viewers can read; authors can also
+// create and change messages, audiences and templates; admins can delete and
+// manage visibility rules and portal users.
+const requireAuthor = auth.requireRole("author");
+const requireAdmin = auth.requireRole("admin");
+
+// 0. SIGN IN / OUT
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const attempt = auth.beginLogin(req, username);
+    if (attempt.retryAfter) {
+      res.setHeader("Retry-After", String(attempt.retryAfter));
+      return res.status(429).json({ error: "Too many failed sign-ins. Please try again later." });
+    }
+    let user = null;
+    try {
+      user = await users.verifyCredentials(username, password);
+    } finally {
+      attempt.finish(!!user);
+    }
+    if (!user) return res.status(401).json({ error: "Invalid username or password." });
+    auth.signIn(res, user);
+    console.log(`[AUTH] ${user.username} signed in`);
+    res.json({ user });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.signOut(req, res);
+  res.json({ success: true });
+});
+
+app.use("/api", auth.requireRole("viewer"));
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ user: req.user, roles: users.ROLES });
+});
+
+// 0a. PORTAL USERS
+app.get("/api/users", requireAdmin, (req, res) => {
+  res.json({ users: users.listUsers() });
+});
+
+app.post("/api/users", requireAdmin, (req, res) => {
+  try { res.status(201).json({ user: users.createUser(req.body) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.patch("/api/users/:id", requireAdmin, (req, res) => {
+  try {
+    const user = users.updateUser(req.params.id, req.body);
+    if (req.body.password !== undefined) auth.revokeUser(user.id);
+    res.json({ user });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.delete("/api/users/:id", requireAdmin, (req, res) => {
+  if (req.params.id === req.user.id) return res.status(400).json({ error: "You can't delete your own account." });
+  try {
+    users.deleteUser(req.params.id);
+    auth.revokeUser(req.params.id);
+    res.json({ success: true });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
 // 1. VERIFY USERS
 app.post("/api/verify-users", async (req, res) => {
   try {
     const { storeIds } = req.body;
     if (!storeIds || !Array.isArray(storeIds)) return res.status(400).json({ error: "Invalid storeIds" });
+    res.json(await verifyStoreIds(storeIds));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1a. SAVED AUDIENCES
+app.get("/api/audiences", (req, res) => {
+  try {
+    const items = audiences.listAudiences().map(a => ({ id: a.id, name: a.name, storeCount: a.storeIds.length, updatedAt: a.updatedAt }));
+    res.json({ audiences: items });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Loading an audience re-verifies its stores, so members that no longer exist show up.
+app.get("/api/audiences/:id", async (req, res) => {
+  try {
+    const audience = audiences.getAudience(req.params.id);
+    res.json({ audience, ...(await verifyStoreIds(audience.storeIds)) });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.post("/api/audiences", requireAuthor, (req, res) => {
+  try { res.status(201).json({ success: true, audience: audiences.createAudience(req.body) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.patch("/api/audiences/:id", requireAuthor, (req, res) => {
+  try { res.json({ success: true, audience: audiences.updateAudience(req.params.id, req.body) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.delete("/api/audiences/:id", requireAuthor, (req, res) => {
+  try { audiences.deleteAudience(req.params.id); res.json({ success: true }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// 1b. IMPORT STORE LIST FROM CSV / XLSX
+// Returns the file as a table so the user can pick which column holds the
+// store IDs; the chosen IDs then go through /api/verify-users as usual.
+app.post("/api/stores/import", upload.single("profileCsv"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  try {
+    const { headers, rows } = readTable(req.file);
+    if (rows.length === 0) return res.status(400).json({ error: "The file has no rows" });
+
+    // Guess the ID column: a header mentioning store/ID, else the first all-numeric column
+    let suggestedColumn = headers.findIndex(h => /store|\bid\b|location/i.test(h));
+    if (suggestedColumn === -1) {
+      suggestedColumn = headers.findIndex((_, i) => rows.every(r => r[i] === "" || /^\d+$/.test(r[i])));
+    }
+    res.json({ headers, rows, suggestedColumn: Math.max(suggestedColumn, 0) });
+  } catch (err) { res.status(400).json({ error: `Could not read file: ${err.message}` }); }
+});
+
+// 1c. STORE PROFILE ATTRIBUTES
+// Distinct values per configured attribute, for the "select by attribute" picker.
+app.get("/api/stores/attributes", async (req, res) => {
+  try {
     const userMap = await getAllUsersMap();
-    const foundUsers = [];
-    const notFoundIds = [];
-    for (const id of storeIds) {
-      const user = userMap.get(String(id));
-      if (user) foundUsers.push(user);
-      else notFoundIds.push(id);
+    const values = Object.fromEntries(STORE_ATTRIBUTE_KEYS.map(k => [k, new Set()]));
+    for (const user of userMap.values()) {
+      for (const [key, value] of Object.entries(user.attributes || {})) values[key]?.add(value);
     }
-    res.json({ foundUsers, notFoundIds });
+    const attributes = STORE_ATTRIBUTE_KEYS.map(key => ({
+      key,
+      values: [...values[key]].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    }));
+    res.json({ attributes });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1d. SELECT STORES BY ATTRIBUTE
+// filters: { region: ["Northeast"], format: ["Urban", "Fuel"] } -> AND across
+// attributes, OR within an attribute's values.
+app.post("/api/stores/select", async (req, res) => {
+  try {
+    const { filters } = req.body;
+    const active = Object.entries(filters || {}).filter(([, vals]) => Array.isArray(vals) && vals.length > 0);
+    if (active.length === 0) return res.status(400).json({ error: "Choose at least one attribute value" });
+
+    const userMap = await getAllUsersMap();
+    const storeIds = [];
+    for (const user of userMap.values()) {
+      if (active.every(([key, vals]) => vals.includes(user.attributes?.[key]))) storeIds.push(user.csvId);
+    }
+    storeIds.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    res.json({ storeIds });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1e. VISIBILITY RULES
+app.get("/api/visibility", (req, res) => {
+  res.json({ rules: visibility.getRules() });
+});
+
+app.put("/api/visibility", requireAdmin, (req, res) => {
+  try {
+    const rules = visibility.saveRules(req.body.rules);
+    console.log(`[VISIBILITY] Rules updated (${rules.length} rules)`);
+    res.json({ success: true, rules });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Who else (besides the stores) will see a channel of this category.
+app.get("/api/visibility/resolve", async (req, res) => {
+  try {
+    const { rules, accessorIDs } = await resolveVisibility(req.query.category || "");
+    res.json({ rules, accessorCount: accessorIDs.length });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1f. CATEGORY REGISTRY
+app.get("/api/categories", (req, res) => {
+  try { res.json({ categories: categories.listCategories() }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1g. MESSAGE TEMPLATES
+app.get("/api/templates", (req, res) => {
+  try {
+    const items = templates.listTemplates().map(t => ({ id: t.id, name: t.name, category: t.category, taskCount: t.tasks.length, updatedAt: t.updatedAt }));
+    res.json({ templates: items });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Returns the stored template plus its values resolved for ?today=YYYY-MM-DD
+// (the client's local date), ready to pre-fill the form.
+app.get("/api/templates/:id", (req, res) => {
+  try {
+    const template = templates.getTemplate(req.params.id);
+    const today = /^\d{4}-\d{2}-\d{2}$/.test(req.query.today || "") ? req.query.today : undefined;
+    res.json({ template, resolved: templates.applyTemplate(template, today) });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.post("/api/templates", requireAuthor, (req, res) => {
+  try { res.status(201).json({ success: true, template: templates.createTemplate(req.body) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.patch("/api/templates/:id", requireAuthor, (req, res) => {
+  try { res.json({ success: true, template: templates.updateTemplate(req.params.id, req.body) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.delete("/api/templates/:id", requireAuthor, (req, res) => {
+  try { templates.deleteTemplate(req.params.id); res.json({ success: true }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// 1h. MARKDOWN PREVIEW
+// Renders the post body exactly as /api/create will (Markdown -> sanitized HTML).
+app.post("/api/content/preview", (req, res) => {
+  try { res.json({ html: renderMarkdown(String(req.body.markdown || "")) }); }
+  catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// 1i. VALIDATE TASK CSV
+// Parses an uploaded task file and returns the tasks plus a line-by-line
+// report, so the form can show problems before anything is created.
+app.post("/api/tasks/import", upload.single("taskCsv"), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  try {
+    res.json(importTasks(req.file.buffer));
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// 1j. STORE TASK PROJECTS
+app.get("/api/store-projects", async (req, res) => {
+  try { res.json(await storeProjectReport()); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Body: { pattern, autoProvision, mappings } (omitted fields stay as they are).
+// `mappings` replaces all explicit mappings.
+app.put("/api/store-projects", requireAdmin, async (req, res) => {
+  try {
+    const { pattern, autoProvision, mappings } = req.body || {};
+    if (mappings && typeof mappings === "object") {
+      const known = new Set((await listInstallations()).filter(i => i.pluginID !== "news").map(i => i.id));
+      const unknown = Object.entries(mappings).filter(([, id]) => id && !known.has(String(id).trim()));
+      if (unknown.length) {
+        return res.status(400).json({ error: `No task project with ID ${unknown.map(([s, id]) => `${id} (store ${s})`).join(", ")}` });
+      }
+    }
+    projects.saveSettings({ pattern, autoProvision, mappings });
+    res.json(await storeProjectReport());
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// Creates a task project for each of { storeIds } that has none yet.
+app.post("/api/store-projects/provision", requireAdmin, async (req, res) => {
+  try {
+    const { storeIds } = req.body || {};
+    if (!Array.isArray(storeIds) || storeIds.length === 0) return res.status(400).json({ error: "Invalid storeIds" });
+    const ids = [...new Set(storeIds.map(id => String(id).trim()).filter(Boolean))];
+    const existing = await discoverProjectsByStoreIds(ids);
+    const missing = ids.filter(id => !existing[id]);
+    const { created, errors } = missing.length ? await provisionProjects(missing, auth.actor(req.user)) : { created: {}, errors: {} };
+    res.json({
+      created: Object.entries(created).map(([storeId, installationId]) => ({ storeId, installationId })),
+      existing: Object.keys(existing),
+      failed: Object.entries(errors).map(([storeId, error]) => ({ storeId, error }))
+    });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
 // 2. CREATE ADHOC POST & TASKS
-app.post("/api/create", upload.single("taskCsv"), async (req, res) => {
+// Send dryRun=true to get the resolved plan back without any Staffbase writes.
+app.post("/api/create", requireAuthor, upload.single("taskCsv"), async (req, res) => {
   try {
+    const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
     console.log("[CREATE] Payload:", { 
       hasFile: !!req.file, 
       title: req.body.title, 
       dept: req.body.department,
-      deadline: req.body.deadline
+      deadline: req.body.deadline,
+      publishMode: req.body.publishMode,
+      dryRun
     });
 
-    let { verifiedUsers, title, department, deadline, manualTasks } = req.body;
+    const plan = await buildCreatePlan(req.body, req.file);
+    plan.createdBy = auth.actor(req.user);
+    const { channelName, storeIds, accessorIDs, tasks: allTasks, post } = plan;
+    console.log(`[CREATE] Accessor Count: ${accessorIDs.length}`);
 
-    if (!department || department === 'undefined' || department.trim() === '') {
-        department = "Uncategorized";
+    if (dryRun) {
+      const projectMap = await discoverProjectsByStoreIds(storeIds);
+      const stores = plan.verifiedUsers.map(u => ({
+        storeId: u.csvId,
+        name: u.name,
+        installationId: projectMap[u.csvId] || null
+      }));
+      return res.json({
+        success: true,
+        dryRun: true,
+        preview: {
+          channelName,
+          accessorIDs,
+          accessorBreakdown: {
+            stores: plan.storeUserIds.length,
+            rules: plan.visibility.rules
+          },
+          post,
+          publishing: plan.publishing,
+          tasks: allTasks,
+          taskImport: plan.taskImport,
+          storesWithTasks: allTasks.length > 0 ? stores.filter(s => s.installationId) : [],
+          storesWithoutTasks: allTasks.length > 0 ? stores.filter(s => !s.installationId) : stores,
+          // Stores without a project get one created during the rollout
+          autoProvision: projects.getSettings().autoProvision
+        }
+      });
     }
 
-    if (typeof verifiedUsers === 'string') {
-      try { verifiedUsers = JSON.parse(verifiedUsers); } catch(e) {}
-    }
+    // The rollout itself runs as a background job; the UI polls /api/jobs/:id
+    const job = jobs.createJob("create", CREATE_JOB_STEPS);
+    plan.verifiedUsers.forEach(u => jobs.setStoreStatus(job, u.csvId, "pending", { name: u.name }));
+    const entry = { action: "create", actor: plan.createdBy, storeIds: plan.storeIds };
+    jobs.startJob(job, (j) => audited(entry, () => runCreateJob(j, plan), rolloutOutcome));
 
-    // Fallback logic
-    if (!verifiedUsers || verifiedUsers.length === 0) {
-       let { storeIds } = req.body;
-       if (typeof storeIds === 'string') try { storeIds = JSON.parse(storeIds); } catch(e) {}
-       
-       if (storeIds && storeIds.length > 0) {
-         const userMap = await getAllUsersMap();
-         verifiedUsers = [];
-         for(const id of storeIds) {
-           const u = userMap.get(String(id));
-           if(u) verifiedUsers.push(u);
-         }
-       }
-    }
+    res.status(202).json({ success: true, jobId: job.id });
 
-    if (!verifiedUsers || verifiedUsers.length === 0) {
-      return res.status(400).json({ error: "No verified users provided." });
-    }
+  } catch (err) {
+    console.error(err);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    const storeUserIds = verifiedUsers.map(u => u.id);
-    const storeIds = verifiedUsers.map(u => u.csvId);
-
-    // --- VISIBILITY: Combine Store Users + Ops Group + Fixed IDs ---
-    const opsUsers = await getOpsGroupMembers();
-    const opsUserIds = opsUsers.map(u => u.id);
-    
-    // Merge all IDs and deduplicate
-    const allAccessorIDs = [...new Set([
-      ...storeUserIds, 
-      ...opsUserIds, 
-      ...FIXED_OPS_IDS 
-    ])];
-    
-    console.log(`[CREATE] Accessor Count: ${allAccessorIDs.length}`);
-
-    const now = Date.now();
-    constSK = `adhoc-${now}`;
-
-    // --- TASK AGGREGATION ---
-    let allTasks = [];
-    
-    // 1. From CSV
-    if (req.file) {
-      allTasks = allTasks.concat(parseTaskCSV(req.file.buffer));
-    }
+// 2a. CAMPAIGN UPLOAD (many messages from one spreadsheet)
+// /validate only checks the file; creating re-checks it and refuses to start
+// while any row has a problem, so a campaign never goes out half-validated.
+app.post("/api/campaigns/validate", requireAuthor, upload.single("campaignFile"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  try {
+    const { plans, ...report } = await buildCampaignPlan(req.file, req.user);
+    res.json(report);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-    // 2. From Manual Input (Dynamic Form)
-    if (manualTasks) {
-      try {
-        const parsedManual = JSON.parse(manualTasks);
-        if (Array.isArray(parsedManual)) {
-          // Normalize dates
-          parsedManual.forEach(t => {
-            if (t.dueDate) t.dueDate = new Date(t.dueDate).toISOString();
-          });
-          allTasks = allTasks.concat(parsedManual);
-        }
-      } catch (e) {
-        console.warn("Failed to parse manual tasks:", e);
-      }
+app.post("/api/campaigns", requireAuthor, upload.single("campaignFile"), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+  try {
+    const { plans, ...report } = await buildCampaignPlan(req.file, req.user);
+    if (!report.valid) {
+      return res.status(400).json({ error: `Nothing was created: the file has ${report.errors.length} problem(s)`, ...report });
     }
+    const job = jobs.createJob("campaign", CAMPAIGN_JOB_STEPS);
+    plans.forEach(({ row, plan }) => jobs.setStoreStatus(job, `row-${row}`, "pending", { row, name: plan.title }));
+    jobs.startJob(job, (j) => runCampaignJob(j, plans));
+    res.status(202).json({ success: true, jobId: job.id, ...report });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-    // Generate Task HTML for Post Body
-    let taskListHTML = "";
-    if (allTasks.length > 0) {
-        taskListHTML = "<h3>Action Items</h3><ul>";
-        allTasks.forEach(t => {
-          let dateDisplay = "";
-          if (t.dueDate) {
-             const d = new Date(t.dueDate);
-             // Format date simply
-             dateDisplay = ` <span style="color:#666; font-size:0.9em;">(Due: ${d.toLocaleDateString()})</span>`;
-          }
-          taskListHTML += `<li><strong>${t.title}</strong><br>${t.description || ""}${dateDisplay}</li>`;
-        });
-        taskListHTML += "</ul>";
-    }
+// 2b. JOB PROGRESS
+app.get("/api/jobs/:id", (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  const job = jobs.getJob(req.params.id);
+  if (!job) return res.status(404).json({ error: "Job not found" });
+  res.json(jobs.serializeJob(job));
+});
 
-    // --- CHANNEL NAMING: Category + Deadline ---
-    // If no deadline, fallback to existing behavior or just Category
-    let channelName = title; // Default to Post Title if fail
-    if (deadline) {
-      channelName = `${department} - ${deadline}`;
-    } else {
-      channelName = `${department} - No Deadline`;
-    }
+// 2c. PER-STORE DISTRIBUTION REPORT
+app.get("/api/messages/:channelId", (req, res) => {
+  const record = messages.getMessage(req.params.channelId);
+  if (!record) return res.status(404).json({ error: "No distribution report for this message" });
+  res.json({ ...record, stores: messages.storeResults(record), summary: messages.summarizeStores(record) });
+});
 
-    // A. Create Channel
-    const channelRes = await sb("POST", `/spaces/${STAFFBASE_SPACE_ID}/installations`, {
-      pluginID: "news",
-      externalID: now.toString(), 
-      config: {
-        localization: { en_US: { title: channelName },de_DE: { title: channelName } }
-      },
-      accessorIDs: allAccessorIDs
-    });
-    
-    const channelId = channelRes.id;
+// 2c-1. TASK COMPLETION (?refresh=true bypasses the cache)
+app.get("/api/messages/:channelId/progress", async (req, res) => {
+  const record = messages.getMessage(req.params.channelId);
+  if (!record) return res.status(404).json({ error: "No distribution report for this message" });
+  try {
+    res.json(await loadProgress(record, req.query.refresh === "true"));
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-    // B. Create Post
-    const contentHTML = `${title}<hr>${taskListHTML}`;
-    const contentTeaser = `Category: ${department}; Targeted Stores: ${storeUserIds.length}; Deadline: ${deadline || 'None'}`;
-    
-    const postRes = await sb("POST", `/channels/${channelId}/posts`, {
-      contents: { 
-        en_US: { 
-          title: title, 
-          content: contentHTML,
-          teaser: contentTeaser,
-          kicker: department 
-        } 
-      }
-    });
+// 2c-2. STORE x TASK MATRIX DOWNLOAD (?format=csv|xlsx, ?refresh=true as above)
+app.get("/api/messages/:channelId/export", async (req, res) => {
+  const record = messages.getMessage(req.params.channelId);
+  if (!record) return res.status(404).json({ error: "No distribution report for this message" });
+  try {
+    const format = exportFormat(req.query);
+    const summary = await loadProgress(record, req.query.refresh === "true");
+    sendTable(res, progress.toMatrixRows(summary), format, `tasks ${record.title}`, record.title);
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-    // C. Distribute Tasks
-    let taskCount = 0;
-    if (allTasks.length > 0) {
-        const projectMap = await discoverProjectsByStoreIds(storeIds);
-        const installationIds = Object.values(projectMap);
-        constTc = [];
-        for (let i=0; i<installationIds.length; i+=5) Tc.push(installationIds.slice(i,i+5));
-
-        for (const chunk of Tc) {
-          await Promise.all(chunk.map(async (instId) => {
-            try {
-              const listRes = await sb("POST", `/tasks/${instId}/lists`, { name: title });
-              for (const t of allTasks) {
-                await sb("POST", `/tasks/${instId}/task`, {
-                  taskListId: listRes.id,
-                  title: t.title,
-                  description: t.description,
-                  dueDate: t.dueDate,
-                  status: "OPEN",
-                  assigneeIds: [] 
-                });
-              }
-            } catch(e) {}
-          }));
-        }
-        taskCount = allTasks.length * installationIds.length;
-    }
+// 2d. RETRY FAILED (OR UNFINISHED) STORES
+app.post("/api/messages/:channelId/retry", requireAuthor, (req, res) => {
+  const record = messages.getMessage(req.params.channelId);
+  if (!record) return res.status(404).json({ error: "No distribution report for this message" });
 
-    res.json({ success: true, channelId, postId: postRes.id, taskCount });
+  if (busyChannels.has(record.channelId)) return res.status(409).json({ error: "A rollout for this message is still running" });
+  if (record.archived) return res.status(409).json({ error: "Restore this message before retrying it" });
+
+  // With no job running, stores left pending or running were cut off too
+  const failed = messages.storeResults(record).filter(r => needsRetry(record, r));
+  if (failed.length === 0) return res.status(400).json({ error: "No failed stores to retry" });
+
+  const job = jobs.createJob("retry", RETRY_JOB_STEPS);
+  failed.forEach(r => jobs.setStoreStatus(job, r.storeId, "pending", { name: r.name }));
+  const entry = { ...messageEntry("retry", record.channelId, req.user), storeIds: failed.map(r => r.storeId) };
+  jobs.startJob(job, (j) => audited(entry, () => runRetryJob(j, record, failed, auth.actor(req.user)), rolloutOutcome));
+
+  res.status(202).json({ success: true, jobId: job.id });
+});
 
+// 2d-1. EDIT A MESSAGE (title, body, category, deadline, stores, tasks)
+app.patch("/api/messages/:channelId", requireAuthor, async (req, res) => {
+  try {
+    const record = messages.getMessage(req.params.channelId);
+    if (!record) return res.status(404).json({ error: "Only messages created by this portal can be edited" });
+    if (busyChannels.has(record.channelId)) return res.status(409).json({ error: "A rollout for this message is still running" });
+    if (record.archived) return res.status(409).json({ error: "Restore this message before editing it" });
+
+    const plan = await buildEditPlan(record, req.body);
+    plan.editedBy = auth.actor(req.user);
+    const job = jobs.createJob("edit", EDIT_JOB_STEPS);
+    plan.addedUsers.forEach(u => jobs.setStoreStatus(job, u.csvId, "pending", { name: u.name }));
+    const entry = { ...messageEntry("edit", record.channelId, req.user), storeIds: [...plan.storeIds, ...plan.removedIds] };
+    busyChannels.add(record.channelId);
+    jobs.startJob(job, (j) => audited(entry, () => runEditJob(j, record, plan), editOutcome(plan)));
+
+    res.status(202).json({ success: true, jobId: job.id, changes: plan.changes });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// 2e. PUBLISH / RESCHEDULE AN EXISTING MESSAGE
+app.post("/api/items/:channelId/publish", requireAuthor, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const publishing = parsePublishing(req.body);
+    if (publishing.mode === "draft") return res.status(400).json({ error: "Choose 'now' or 'schedule' to publish." });
+
+    const { record } = await getToolChannel(channelId, "published");
+    if (record?.archived) return res.status(409).json({ error: "Restore this message before publishing it" });
+    let postId = record?.postId;
+    if (!postId) {
+      const posts = await sb("GET", `/channels/${encodeURIComponent(channelId)}/posts?limit=1`);
+      postId = posts.data?.[0]?.id;
+    }
+    if (!postId) return res.status(404).json({ error: "No post found in this channel" });
+
+    await audited({ ...messageEntry("publish", channelId, req.user), postId }, async () => {
+      await sb("PUT", `/posts/${postId}`, publishFields(publishing));
+      if (record) {
+        record.publishing = publishing;
+        messages.saveMessage(record);
+        syncIndex(record, publishingStatus(publishing));
+      } else if (items.getItem(channelId)) {
+        items.upsertItem({ channelId, ...publishingStatus(publishing) });
+      }
+    }, () => ({ details: publishing.mode === "schedule" ? `Scheduled for ${publishing.scheduledAt}` : "Published now" }));
+    console.log(`[PUBLISH] ${channelId}/${postId}: ${publishing.mode}${publishing.scheduledAt ? ` at ${publishing.scheduledAt}` : ""}`);
+    res.json({ success: true, postId, publishing });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// 3. GET PAST SUBMISSIONS (With Store ID Filter)
+// 3. GET PAST SUBMISSIONS (from the local index; built on first use)
 app.get("/api/items", async (req, res) => {
   res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
   res.setHeader('Pragma', 'no-cache');
   res.setHeader('Expires', '0');
-  
+
   try {
-    const { storeId } = req.query;
-    let targetUserId = null;
-
-    // If filtering by Store ID, verify the store exists and get its User ID
-    if (storeId) {
-       const userMap = await getAllUsersMap(); // Uses cache if available
-       const user = userMap.get(String(storeId));
-       if (user) {
-         targetUserId = user.id;
-       } else {
-         // If store ID doesn't exist, return empty immediately
-         return res.json({ items: [] });
-       }
-    }
+    if (!items.loadIndex().refreshedAt) await refreshIndex();
+    const { storeId, department, q, status, sort, order, limit, offset } = req.query;
+    res.json(items.query({ storeId, department, q, status, sort, order, limit, offset }));
+  } catch (err) {
+    console.error("List Error:", err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    const items = [];
-    let offset = 0; const limit = 100;
+// 3a. REBUILD THE INDEX FROM STAFFBASE
+app.post("/api/items/refresh", async (req, res) => {
+  try { res.json(await refreshIndex()); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-    while(true) {
-      const result = await sb("GET", `/spaces/${STAFFBASE_SPACE_ID}/installations?limit=${limit}&offset=${offset}`);
-      if (!result.data || result.data.length === 0) break;
+// 3b. DOWNLOAD THE FILTERED LIST (?format=csv|xlsx; same filters as 3., all pages)
+app.get("/api/items/export", async (req, res) => {
+  try {
+    const format = exportFormat(req.query);
+    if (!items.loadIndex().refreshedAt) await refreshIndex();
+    const { storeId, department, q, status, sort, order } = req.query;
+    sendTable(res, items.toRows(items.find({ storeId, department, q, status, sort, order })), format, "messages", "Messages");
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-      for (const inst of result.data) {
-        if (inst.pluginID !== 'news') continue;
+// 4. DELETE (channel plus the task lists it created in store projects)
+app.delete("/api/delete/:id", requireAdmin, async (req, res) => {
+  try { res.json({ success: true, ...(await auditedDelete(req.params.id, req.user)) }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-        // --- FILTER LOGIC ---
-        // If a target store is requested, check if it's in the accessors
-        if (targetUserId) {
-            if (!inst.accessorIDs || !inst.accessorIDs.includes(targetUserId)) {
-                continue; 
-            }
-        }
+// 4a. ARCHIVE / RESTORE
+app.post("/api/items/:channelId/archive", requireAdmin, async (req, res) => {
+  try { res.json({ success: true, archived: (await auditedArchive(req.params.channelId, true, req.user)).archived }); }
+  catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-        let item = null;
-        const title = inst.config?.localization?.en_US?.title || "Untitled";
-        
-        // Basic Metadata
-        const defaultUserCount = inst.accessorIDs ? inst.accessorIDs.length : 0;
-        const dateStr = inst.createdAt || inst.created || new Date().toISOString();
-        
-        // Note: Title might now look like "Marketing - 2024-12-25" based on new logic.
-        // We still fetch the post to get the "Human" title if possible, or parse metadata.
-        
-        item = {
-            channelId: inst.id,
-            title: title, // This is the Channel Name
-            department: "Uncategorized", 
-            userCount: defaultUserCount,
-            createdAt: dateStr,
-            status: "Draft"
-        };
-
-        // Try to enrich with Post data (slows it down, but necessary for current UI)
-        try {
-            const posts = await sb("GET", `/channels/${item.channelId}/posts?limit=1`);
-            if (posts.data && posts.data.length > 0) {
-              const p = posts.data[0];
-              item.title = p.contents?.en_US?.title || item.title; // Use Post title for display
-              
-              const teaserText = p.contents?.en_US?.teaser || "";
-              const kickerText = p.contents?.en_US?.kicker || "";
-
-              // Extract Dept
-              if (kickerText) item.department = kickerText.trim();
-              else {
-                  const deptMatch =QlText.match(/(?:Category|Department):\s*([^;]+)/i);
-                  if (deptMatch) item.department = deptMatch[1].trim();
-              }
-              
-              // Extract Status
-              if (p.published) item.status = "Published";
-              else if (p.planned) item.status = "Scheduled";
-            }
-        } catch(e) {} // Ignore post fetch errors
-
-        items.push(item);
-      }
+app.post("/api/items/:channelId/restore", requireAdmin, async (req, res) => {
+  try {
+    await auditedArchive(req.params.channelId, false, req.user);
+    res.json({ success: true });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
 
-      if (result.data.length < limit) break;
-      offset += limit;
+// 4b. BULK ARCHIVE / DELETE
+app.post("/api/items/bulk-archive", requireAdmin, async (req, res) => {
+  try {
+    const failed = [];
+    const channelIds = parseChannelIds(req.body);
+    for (const id of channelIds) {
+      try { await auditedArchive(id, true, req.user); }
+      catch (err) { failed.push({ channelId: id, error: err.message }); }
     }
+    res.json({ success: failed.length === 0, archived: channelIds.length - failed.length, failed });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+app.post("/api/items/bulk-delete", requireAdmin, (req, res) => {
+  try {
+    const channelIds = parseChannelIds(req.body);
+    const job = jobs.createJob("delete", BULK_DELETE_JOB_STEPS);
+    channelIds.forEach(id => jobs.setStoreStatus(job, id, "pending"));
+    jobs.startJob(job, (j) => runBulkDeleteJob(j, channelIds, req.user));
+    res.status(202).json({ success: true, jobId: job.id });
+  } catch (err) { res.status(err.status || 500).json({ error: err.message }); }
+});
+
+// 5. AUDIT LOG (?format=csv downloads the filtered entries)
+app.get("/api/audit", requireAdmin, (req, res) => {
+  const { action, actor, outcome, channelId, storeId, from, to, q, format } = req.query;
+  const entries = audit.query({ action, actor, outcome, channelId, storeId, from, to, q });
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(audit.toCSV(entries));
+  }
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const offset = Math.max(Number(req.query.offset) || 0, 0);
+  res.json({
+    entries: entries.slice(offset, offset + limit),
+    total: entries.length,
+    actions: audit.ACTIONS,
+    outcomes: audit.OUTCOMES,
+    actors: audit.actors()
+  });
+});
 
-    items.sort((a,b) => new Date(b.createdAt) - new Date(a.createdAt));
-    res.json({ items });
+// 6. REMINDERS
+app.get("/api/reminders/rules", (req, res) => {
+  res.json({
+    rules: reminders.getRules(),
+    categories: [reminders.ALL_CATEGORIES, ...categories.listCategories().map(c => c.name)],
+    intervalMinutes: REMINDER_INTERVAL_MINUTES
+  });
+});
+
+app.put("/api/reminders/rules", requireAdmin, (req, res) => {
+  try {
+    res.json({ rules: reminders.saveRules(req.body.rules) });
   } catch (err) {
-    console.error("List Error:", err);
-    res.json({ items: [] });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// 4. DELETE
-app.delete("/api/delete/:id", async (req, res) => {
-  try { await sb("DELETE", `/installations/${req.params.id}`); res.json({ success: true }); } 
-  catch (err) { res.status(500).json({ error: err.message }); }
+app.get("/api/reminders/log", (req, res) => {
+  const { channelId, kind } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const entries = reminders.listLog({ channelId, kind });
+  res.json({ entries: entries.slice(0, limit), total: entries.length });
+});
+
+app.post("/api/reminders/run", requireAdmin, async (req, res) => {
+  try {
+    res.json(await runReminders("manual"));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 app.use(express.static(path.join(__dirname, "public")));
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
+
+// Tests and the CLI's sandbox mode require the app instead of starting it; the
+// sandbox is reachable through app.locals so tests can inspect and script it.
+app.locals.sandbox = sandbox;
+module.exports = app;
+
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
+
+  if (REMINDER_INTERVAL_MINUTES > 0) {
+    setInterval(() => {
+      runReminders().catch(err => console.error("[REMINDERS] Run failed:", err.message));
+    }, REMINDER_INTERVAL_MINUTES * 60 * 1000).unref();
+  }
+}
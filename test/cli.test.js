@@ -0,0 +1,133 @@
+// The CLI run as a separate process against the sandbox. Every run starts a
+// fresh sandbox, so these only check what a single command can show.
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn, spawnSync } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "messagebuilder-cli-"));
+const env = {
+  ...process.env,
+  DATA_DIR: path.join(dir, "data"),
+  STAFFBASE_SANDBOX: "true",
+  STAFFBASE_SPACE_ID: "sandbox-space",
+  SANDBOX_STORES: "4",
+  ADMIN_USERNAME: "admin",
+  ADMIN_PASSWORD: "admin-password",
+  REMINDER_INTERVAL_MINUTES: "0"
+};
+
+const storesFile = path.join(dir, "stores.txt");
+const tasksFile = path.join(dir, "tasks.csv");
+fs.writeFileSync(storesFile, "10001\n10002, 10004\n");
+fs.writeFileSync(tasksFile, "Title;Description;Date\nCheck shelves;All aisles;2030-01-10\nSend photos;;\n");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function cli(...args) {
+  return cliWith(env, ...args);
+}
+
+function cliWith(cliEnv, ...args) {
+  const run = spawnSync(process.execPath, [path.join(__dirname, "..", "cli.js"), ...args], { env: cliEnv, encoding: "utf8", timeout: 30000 });
+  let json = null;
+  try { json = JSON.parse(run.stdout); } catch (e) {}
+  return { code: run.status, stdout: run.stdout, stderr: run.stderr, json };
+}
+
+test("verify reports unknown stores with exit code 2", () => {
+  const run = cli("verify", "--stores", storesFile, "--store", "99999", "--json");
+  assert.equal(run.code, 2);
+  assert.deepEqual(run.json.found.map(s => s.storeId), ["10001", "10002", "10004"]);
+  assert.deepEqual(run.json.notFound, ["99999"]);
+
+  assert.equal(cli("verify", "--store", "99999").code, 1);
+});
+
+test("create rolls out tasks and waits for the job", () => {
+  const run = cli("create", "--title", "Shelf check", "--stores", storesFile, "--tasks", tasksFile, "--deadline", "2030-01-31", "--json");
+  // The last sandbox store has no task project, so it gets no tasks
+  assert.equal(run.code, 2, run.stderr);
+  assert.equal(run.json.status, "completed");
+  assert.equal(run.json.taskCount, 4);
+  assert.deepEqual(run.json.stores, { total: 3, done: 2, failed: 0, skipped: 1 });
+  assert.deepEqual(run.json.skipped, [{ storeId: "10004", reason: "No Store task project found" }]);
+
+  const full = cli("create", "--title", "Shelf check", "--store", "10001", "--tasks", tasksFile);
+  assert.equal(full.code, 0, full.stderr);
+});
+
+test("create stops waiting after --wait seconds", () => {
+  const slow = { ...env, SANDBOX_LATENCY_MS: "300" };
+  const run = cliWith(slow, "create", "--title", "Slow", "--store", "10001", "--tasks", tasksFile, "--wait", "0.1", "--json");
+  assert.equal(run.code, 1);
+  assert.match(run.json.error, /still running after 0.1s/);
+});
+
+test("create --dry-run previews without creating anything", () => {
+  const run = cli("create", "--title", "Preview", "--store", "10001", "--tasks", tasksFile, "--dry-run", "--json");
+  assert.equal(run.code, 0, run.stderr);
+  assert.equal(run.json.preview.tasks.length, 2);
+  assert.equal(run.json.preview.storesWithTasks.length, 1);
+});
+
+test("list prints the message index", () => {
+  const run = cli("list", "--store", "10001", "--json");
+  assert.equal(run.code, 0, run.stderr);
+  assert.deepEqual(Object.keys(run.json).sort(), ["items", "limit", "offset", "refreshedAt", "total"]);
+});
+
+test("failures and bad input exit with code 1", () => {
+  const missing = cli("delete", "no-such-channel", "--json");
+  assert.equal(missing.code, 1);
+  assert.equal(missing.json.failed[0].channelId, "no-such-channel");
+
+  assert.equal(cli("create", "--store", "10001").code, 1);
+  assert.equal(cli("create", "--title", "x", "--store", "10001", "--wait", "soon").code, 1);
+  assert.equal(cli("unknown-command").code, 1);
+});
+
+// A portal running on its own, as in production
+async function startPortal() {
+  const port = await new Promise(resolve => {
+    const probe = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+  const portal = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...env, PORT: String(port), DATA_DIR: path.join(dir, "portal-data") },
+    stdio: "ignore"
+  });
+  const url = `http://127.0.0.1:${port}`;
+  for (let i = 0; i < 100; i++) {
+    if (await fetch(`${url}/api/auth/me`).then(() => true, () => false)) return { portal, url };
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  portal.kill();
+  throw new Error("The portal did not start");
+}
+
+test("with --url the CLI works on the running portal", async () => {
+  const { portal, url } = await startPortal();
+  try {
+    const created = cli("create", "--url", url, "--title", "Remote check", "--store", "10001", "--tasks", tasksFile, "--json");
+    assert.equal(created.code, 0, created.stderr);
+
+    // Both commands see the same portal, so the message is listed
+    const listed = cliWith({ ...env, MB_URL: url }, "list", "--search", "remote", "--json");
+    assert.equal(listed.code, 0, listed.stderr);
+    assert.deepEqual(listed.json.items.map(i => i.channelId), [created.json.channelId]);
+  } finally {
+    portal.kill();
+  }
+});
+
+test("without a URL the CLI only runs against the sandbox", () => {
+  const run = cliWith({ ...env, STAFFBASE_SANDBOX: "false" }, "list", "--json");
+  assert.equal(run.code, 1);
+  assert.match(run.json.error, /--url or MB_URL/);
+});
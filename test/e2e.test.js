@@ -0,0 +1,573 @@
+// End-to-end checks: the real routes and jobs, run against the in-memory
+// Staffbase sandbox with a throwaway data directory.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "messagebuilder-e2e-"));
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  STAFFBASE_SANDBOX: "true",
+  STAFFBASE_SPACE_ID: "sandbox-space",
+  HIDDEN_ATTRIBUTE_KEY: "storeId",
+  SANDBOX_STORES: "6",
+  SANDBOX_FAILURE_RATE: "0",
+  ADMIN_USERNAME: "admin",
+  ADMIN_PASSWORD: "admin-password"
+});
+
+const app = require("../server");
+const sandbox = app.locals.sandbox;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A signed-in (or anonymous) browser: keeps the session cookie between calls.
+function client() {
+  let cookie = "";
+  return async function call(method, url, body) {
+    const isForm = body instanceof FormData;
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { ...(!isForm && { "Content-Type": "application/json" }), ...(cookie && { Cookie: cookie }) },
+      body: body && !isForm ? JSON.stringify(body) : body
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    // Spreadsheets stay binary; everything else is JSON or text
+    const raw = Buffer.from(await res.arrayBuffer());
+    let data = raw;
+    if (!(res.headers.get("content-type") || "").includes("spreadsheetml")) {
+      try { data = JSON.parse(raw); } catch (e) { data = raw.toString("utf8"); }
+    }
+    return { status: res.status, data, headers: res.headers };
+  };
+}
+
+async function signIn(username, password) {
+  const call = client();
+  const res = await call("POST", "/api/auth/login", { username, password });
+  assert.equal(res.status, 200, `sign-in as ${username}`);
+  return call;
+}
+
+async function waitForJob(call, jobId) {
+  const deadline = Date.now() + 20000;
+  while (Date.now() < deadline) {
+    const { data } = await call("GET", `/api/jobs/${jobId}`);
+    if (data.status !== "running" && data.status !== "queued") return data;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish`);
+}
+
+async function createMessage(call, fields) {
+  const res = await call("POST", "/api/create", {
+    department: "Operations",
+    manualTasks: JSON.stringify([{ title: "Check shelves" }, { title: "Send photos" }]),
+    ...fields
+  });
+  assert.equal(res.status, 202, JSON.stringify(res.data));
+  return waitForJob(call, res.data.jobId);
+}
+
+const storeUserId = (storeId) => sandbox.state.users.find(u => u.profile.storeId === storeId).id;
+const listsOf = (channelId, call) => call("GET", `/api/messages/${channelId}`).then(r => r.data.stores);
+const sandboxTasks = (listId) => sandbox.state.tasks.filter(t => t.taskListId === listId);
+
+test("every API route requires a signed-in user", async () => {
+  const anonymous = client();
+  assert.equal((await anonymous("GET", "/api/items")).status, 401);
+  assert.equal((await anonymous("POST", "/api/auth/login", { username: "admin", password: "wrong-password" })).status, 401);
+
+  const admin = await signIn("admin", "admin-password");
+  const me = await admin("GET", "/api/auth/me");
+  assert.equal(me.data.user.username, "admin");
+  assert.equal(me.data.user.role, "admin");
+});
+
+test("repeated failed sign-ins are throttled", async () => {
+  const anonymous = client();
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await anonymous("POST", "/api/auth/login", { username: "guesser", password: `wrong-${i}` })).status, 401);
+  }
+  const refused = await anonymous("POST", "/api/auth/login", { username: "guesser", password: "wrong-again" });
+  assert.equal(refused.status, 429);
+  assert.ok(Number(refused.headers.get("retry-after")) > 0);
+
+  // Other accounts can still sign in
+  await signIn("admin", "admin-password");
+});
+
+test("parallel sign-in attempts don't get around the throttle", async () => {
+  const anonymous = client();
+  const attempts = await Promise.all(Array.from({ length: 10 }, (_, i) =>
+    anonymous("POST", "/api/auth/login", { username: "racer", password: `wrong-${i}` })));
+  const statuses = attempts.map(a => a.status);
+  assert.equal(statuses.filter(s => s === 401).length, 1, `one password check at a time: ${statuses}`);
+  assert.equal(statuses.filter(s => s === 429).length, 9);
+});
+
+test("creating a message distributes tasks to every store with a project", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Weekly check", storeIds: ["10001", "10002", "10006"], deadline: "2030-01-31" });
+
+  assert.equal(job.status, "completed");
+  assert.deepEqual(job.result.stores, { total: 3, done: 2, failed: 0, skipped: 1 });
+  assert.equal(job.result.taskCount, 4);
+
+  const channel = sandbox.state.installations.find(i => i.id === job.result.channelId);
+  assert.equal(channel.config.localization.en_US.title, "Operations - 2030-01-31");
+  assert.ok(channel.accessorIDs.includes(storeUserId("10001")));
+  assert.ok(channel.accessorIDs.includes(storeUserId("10006")));
+  for (const opsUser of sandbox.state.groups["sandbox-ops"]) assert.ok(channel.accessorIDs.includes(opsUser), "the default visibility rule adds the ops group");
+
+  const stores = await listsOf(job.result.channelId, admin);
+  const skipped = stores.find(s => s.storeId === "10006");
+  assert.equal(skipped.reason, "No Store task project found");
+  for (const store of stores.filter(s => s.listId)) assert.equal(sandboxTasks(store.listId).length, 2);
+
+  const list = await admin("GET", "/api/items?q=weekly");
+  assert.equal(list.data.total, 1);
+  assert.equal(list.data.items[0].channelId, job.result.channelId);
+});
+
+test("task text and the Markdown body can't put markup into the post", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const fields = {
+    title: "Safety <b>first</b>",
+    storeIds: ["10001"],
+    body: "**Read this** first.\n\n<script>alert(1)</script>\n\n[Open](javascript:alert(2)) or [the guide](https://example.com/guide)",
+    manualTasks: JSON.stringify([{ title: "<img src=x onerror=alert(3)>", description: "<script>alert(4)</script> & more" }])
+  };
+  const checkContent = (content) => {
+    assert.doesNotMatch(content, /<script|<img|javascript:/i);
+    assert.match(content, /<strong>Read this<\/strong>/);
+    assert.match(content, /<a href="https:\/\/example.com\/guide" target="_blank" rel="noopener noreferrer">the guide<\/a>/);
+    assert.match(content, /<strong>&lt;img src=x onerror=alert\(3\)&gt;<\/strong>/);
+    assert.match(content, /&lt;script&gt;alert\(4\)&lt;\/script&gt; &amp; more/);
+  };
+
+  const preview = await admin("POST", "/api/create", { ...fields, department: "Operations", dryRun: true });
+  assert.equal(preview.status, 200, JSON.stringify(preview.data));
+  checkContent(preview.data.preview.post.content);
+
+  const job = await createMessage(admin, fields);
+  const post = sandbox.state.posts.find(p => p.id === job.result.postId);
+  checkContent(post.contents.en_US.content);
+  // Without a body the (plain text) title heads the post, escaped
+  const plain = await createMessage(admin, { ...fields, body: "" });
+  assert.match(sandbox.state.posts.find(p => p.id === plain.result.postId).contents.en_US.content, /^Safety &lt;b&gt;first&lt;\/b&gt;<hr \/>/);
+});
+
+test("task files are imported with a line-by-line report", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const importFile = async (text) => {
+    const form = new FormData();
+    form.append("taskCsv", new Blob([text]), "tasks.csv");
+    const res = await admin("POST", "/api/tasks/import", form);
+    assert.equal(res.status, 200, JSON.stringify(res.data));
+    return res.data;
+  };
+
+  // BOM, commas, header aliases, a quoted field with the delimiter and a line
+  // break in it, several date formats and one bad date
+  const report = await importFile("\uFEFFTask,Notes,Due,Prio,Owner\r\n" +
+    "Check shelves,\"Aisles 1, 2\nand 3\",2030-01-10,high,Ann\r\n" +
+    "Send photos,,12/25/2030,,\r\n" +
+    "Count stock,Back room,31.12.2030,,\r\n" +
+    "Broken date,,2030-13-45,,\r\n" +
+    ",No title,,,\r\n");
+  assert.equal(report.delimiter, ",");
+  assert.equal(report.hasHeader, true);
+  assert.deepEqual(report.tasks.map(t => [t.title, t.description, t.dueDate && t.dueDate.slice(0, 10)]), [
+    ["Check shelves", "Aisles 1, 2\nand 3", "2030-01-10"],
+    ["Send photos", "", "2030-12-25"],
+    ["Count stock", "Back room", "2030-12-31"]
+  ]);
+  assert.equal(report.tasks[0].priority, "high");
+  assert.deepEqual(report.errors.map(e => e.line), [6, 7]);
+  assert.match(report.errors[0].message, /Unrecognized due date "2030-13-45"/);
+  assert.deepEqual(report.warnings.map(w => w.line), [1, 2]);
+  assert.match(report.warnings[0].message, /unknown column "Owner"/);
+  assert.match(report.warnings[1].message, /Priority is only shown in the post/);
+
+  // The original format: semicolons, no header
+  const legacy = await importFile("Check shelves;All aisles;2030-01-10\nSend photos;;\n");
+  assert.equal(legacy.delimiter, ";");
+  assert.equal(legacy.hasHeader, false);
+  assert.deepEqual(legacy.tasks.map(t => t.title), ["Check shelves", "Send photos"]);
+  assert.deepEqual(legacy.errors, []);
+});
+
+test("a message needs a title", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const res = await admin("POST", "/api/create", { title: "  ", department: "Operations", storeIds: ["10001"] });
+  assert.equal(res.status, 400);
+  assert.equal(res.data.error, "Title is required");
+  assert.equal((await admin("GET", "/api/items?q=x")).status, 200);
+});
+
+test("rate-limited requests are retried after Retry-After", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const before = sandbox.state.installations.length;
+  sandbox.failNext({ match: "POST /spaces/", status: 429 });
+
+  const job = await createMessage(admin, { title: "Rate limited", storeIds: ["10003"] });
+  assert.equal(job.status, "completed");
+  assert.equal(sandbox.state.installations.length, before + 1, "the channel is created exactly once");
+});
+
+test("stores that fail during a rollout can be retried", async () => {
+  const admin = await signIn("admin", "admin-password");
+  // Creating a list is not idempotent, so a 5xx there is not retried automatically
+  sandbox.failNext({ match: "/lists", status: 503 });
+
+  const job = await createMessage(admin, { title: "Partly failing", storeIds: ["10001", "10002"] });
+  assert.equal(job.status, "completed");
+  assert.equal(job.result.stores.failed, 1);
+
+  const retry = await admin("POST", `/api/messages/${job.result.channelId}/retry`);
+  assert.equal(retry.status, 202);
+  const retried = await waitForJob(admin, retry.data.jobId);
+  assert.equal(retried.result.stores.failed, 0);
+  for (const store of await listsOf(job.result.channelId, admin)) assert.equal(sandboxTasks(store.listId).length, 2);
+
+  const audit = await admin("GET", `/api/audit?channelId=${job.result.channelId}`);
+  assert.deepEqual(audit.data.entries.map(e => [e.action, e.outcome]), [["retry", "success"], ["create", "partial"]]);
+});
+
+test("stores a rollout didn't reach are marked failed and can be retried", async () => {
+  const admin = await signIn("admin", "admin-password");
+  // The project lookup fails, so the job stops before any store is reached
+  sandbox.failNext({ match: "GET /spaces/", status: 403 });
+  const job = await createMessage(admin, { title: "Lookup fails", storeIds: ["10001", "10002"] });
+  assert.equal(job.status, "failed");
+
+  const [item] = (await admin("GET", "/api/items?q=lookup%20fails")).data.items;
+  assert.equal(item.failedStores, 2);
+  const stores = await listsOf(item.channelId, admin);
+  assert.deepEqual(stores.map(s => s.status), ["failed", "failed"]);
+  assert.match(stores[0].error, /403/);
+
+  const retry = await admin("POST", `/api/messages/${item.channelId}/retry`);
+  assert.equal(retry.status, 202, JSON.stringify(retry.data));
+  const retried = await waitForJob(admin, retry.data.jobId);
+  assert.deepEqual(retried.result.stores, { total: 2, done: 2, failed: 0, skipped: 0 });
+});
+
+test("task completion is read back from the store projects", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Progress", storeIds: ["10001", "10002"] });
+  const [first] = await listsOf(job.result.channelId, admin);
+  sandboxTasks(first.listId).forEach(t => { t.status = "DONE"; });
+
+  const { data } = await admin("GET", `/api/messages/${job.result.channelId}/progress?refresh=true`);
+  assert.deepEqual(data.overall, { total: 4, done: 2, percent: 50 });
+  assert.equal(data.stores.find(s => s.storeId === first.storeId).percent, 100);
+});
+
+test("the list and a message's store-by-task status can be downloaded", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Export me", storeIds: ["10001", "10002", "10006"], deadline: "2030-04-30" });
+  const channelId = job.result.channelId;
+  const done = (await listsOf(channelId, admin)).find(s => s.storeId === "10001");
+  sandboxTasks(done.listId).forEach(t => { t.status = "DONE"; });
+
+  const csv = await admin("GET", `/api/messages/${channelId}/export?format=csv&refresh=true`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-disposition"), /filename="tasks-export-me-\d{4}-\d{2}-\d{2}\.csv"/);
+  const lines = csv.data.trim().split("\r\n");
+  assert.equal(lines[0], "Store ID,Store,Status,Done,Total,Percent,1. Check shelves,2. Send photos");
+  assert.ok(lines.includes("10001,Store 10001,Complete,2,2,100,Done,Done"));
+  assert.ok(lines.includes("10002,Store 10002,Open,0,2,0,Open,Open"));
+  assert.ok(lines.some(l => l.startsWith("10006,Store 10006,Not tracked")));
+
+  const xlsx = await admin("GET", `/api/messages/${channelId}/export?format=xlsx`);
+  const sheet = XLSX.read(xlsx.data).Sheets["Export me"];
+  assert.equal(sheet.A2.v, "10001");
+  assert.equal(sheet.F2.v, 100);
+
+  const list = await admin("GET", "/api/items/export?format=xlsx&q=export");
+  const rows = XLSX.utils.sheet_to_json(XLSX.read(list.data).Sheets.Messages);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].Title, "Export me");
+  assert.equal(rows[0]["Store Count"], 3);
+  assert.equal(rows[0].Deadline, "2030-04-30");
+
+  assert.equal((await admin("GET", "/api/items/export?format=pdf")).status, 400);
+});
+
+test("editing a message updates the post, the stores and the tasks", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Before edit", storeIds: ["10001", "10002"] });
+  const channelId = job.result.channelId;
+  const removedList = (await listsOf(channelId, admin)).find(s => s.storeId === "10002").listId;
+
+  const edit = await admin("PATCH", `/api/messages/${channelId}`, {
+    title: "After edit",
+    deadline: "2030-02-28",
+    storeIds: ["10001", "10003"],
+    tasks: [{ index: 0, title: "Check all shelves" }, { index: 1, title: "Send photos" }, { title: "Report back" }]
+  });
+  assert.equal(edit.status, 202, JSON.stringify(edit.data));
+  const edited = await waitForJob(admin, edit.data.jobId);
+  assert.equal(edited.status, "completed");
+
+  const post = sandbox.state.posts.find(p => p.channelId === channelId);
+  assert.equal(post.contents.en_US.title, "After edit");
+  const channel = sandbox.state.installations.find(i => i.id === channelId);
+  assert.equal(channel.config.localization.en_US.title, "Operations - 2030-02-28");
+  assert.ok(!channel.accessorIDs.includes(storeUserId("10002")));
+
+  assert.equal(sandbox.state.lists.some(l => l.id === removedList), false);
+  const stores = await listsOf(channelId, admin);
+  assert.deepEqual(stores.map(s => s.storeId).sort(), ["10001", "10003"]);
+  for (const store of stores) {
+    assert.deepEqual(sandboxTasks(store.listId).map(t => t.title), ["Check all shelves", "Send photos", "Report back"]);
+  }
+
+  const removing = await admin("PATCH", `/api/messages/${channelId}`, { tasks: [{ index: 0, title: "Only one" }] });
+  assert.equal(removing.status, 400);
+});
+
+test("a campaign sheet is validated as a whole, then created message by message", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const upload = (csv) => {
+    const form = new FormData();
+    form.append("campaignFile", new Blob([csv]), "campaign.csv");
+    return form;
+  };
+
+  const broken = [
+    "Title,Category,Deadline,Stores,Task,Task due date",
+    "Spring reset,Merchandising,2030-03-01,10001 10002,Move fixtures,",
+    ",,,,Photograph endcaps,someday",
+    "Fire drill,Safety,2030-03-05,10003 99999,Run drill,"
+  ].join("\n");
+  const checked = await admin("POST", "/api/campaigns", upload(broken));
+  assert.equal(checked.status, 400);
+  assert.deepEqual(checked.data.errors.map(e => e.row), [3, 4, 4]);
+  assert.match(checked.data.errors[1].message, /Unknown category/);
+  assert.match(checked.data.errors[2].message, /99999/);
+
+  const valid = [
+    "Title,Category,Deadline,Stores,Task,Task due date",
+    "Spring reset,Merchandising,2030-03-01,10001 10002,Move fixtures,",
+    ",,,10003,Photograph endcaps,2030-02-27",
+    "Fire drill,Operations,2030-03-05,10004,Run drill,"
+  ].join("\n");
+  const preview = await admin("POST", "/api/campaigns/validate", upload(valid));
+  assert.equal(preview.data.valid, true);
+  assert.deepEqual(preview.data.messages.map(m => [m.row, m.storeCount, m.taskCount]), [[2, 3, 2], [4, 1, 1]]);
+
+  const started = await admin("POST", "/api/campaigns", upload(valid));
+  assert.equal(started.status, 202);
+  const job = await waitForJob(admin, started.data.jobId);
+  assert.equal(job.status, "completed");
+  assert.deepEqual(job.result.messages, { total: 2, created: 2, partial: 0, failed: 0 });
+  assert.deepEqual(job.result.stores, { total: 4, done: 4, failed: 0, skipped: 0 });
+  assert.equal(job.result.taskCount, 7);
+
+  const reset = job.stores.find(e => e.storeId === "row-2");
+  const stores = await listsOf(reset.channelId, admin);
+  assert.deepEqual(stores.map(s => s.storeId).sort(), ["10001", "10002", "10003"]);
+  assert.equal((await admin("GET", "/api/items?q=fire%20drill")).data.total, 1);
+});
+
+test("reminders reach only stores with open tasks of a visible message", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const day = (offset) => new Date(Date.now() + offset * 86400000).toISOString().slice(0, 10);
+  const job = await createMessage(admin, { title: "Due soon", storeIds: ["10001", "10002"], deadline: day(1), publishMode: "now" });
+  const draft = await createMessage(admin, { title: "Not out yet", storeIds: ["10001"], deadline: day(1) });
+  const channelId = job.result.channelId;
+  const done = (await listsOf(channelId, admin)).find(s => s.storeId === "10002");
+  sandboxTasks(done.listId).forEach(t => { t.status = "DONE"; });
+
+  const run = await admin("POST", "/api/reminders/run");
+  assert.equal(run.status, 200, JSON.stringify(run.data));
+  const [reminder] = (await admin("GET", `/api/messages/${channelId}`)).data.notices;
+  assert.equal(reminder.kind, "reminder");
+  assert.deepEqual(reminder.storeIds, ["10001"]);
+  const noticeChannel = sandbox.state.installations.find(i => i.id === reminder.noticeChannelId);
+  assert.deepEqual(noticeChannel.accessorIDs, [storeUserId("10001")]);
+  assert.deepEqual(sandbox.state.posts.find(p => p.id === reminder.postId).notificationChannels, ["push"]);
+  assert.deepEqual((await admin("GET", `/api/messages/${draft.result.channelId}`)).data.notices || [], [], "drafts are not reminded");
+
+  // The message keeps its own title and status in the list
+  await admin("POST", "/api/items/refresh");
+  const [item] = (await admin("GET", "/api/items?q=due%20soon")).data.items;
+  assert.equal(item.channelId, channelId);
+  assert.equal(item.status, "Published");
+
+  // The default escalation group is seeded in the sandbox, so no rule change is needed
+  const edit = await admin("PATCH", `/api/messages/${channelId}`, { deadline: day(-2) });
+  assert.equal(edit.status, 202, JSON.stringify(edit.data));
+  await waitForJob(admin, edit.data.jobId);
+  await admin("POST", "/api/reminders/run");
+  const { notices } = (await admin("GET", `/api/messages/${channelId}`)).data;
+  const escalation = notices.find(n => n.kind === "escalation");
+  assert.equal(escalation.outcome, "sent");
+  assert.ok(sandbox.state.posts.some(p => p.id === escalation.postId && p.channelId === escalation.noticeChannelId));
+  const escalationChannel = sandbox.state.installations.find(i => i.id === escalation.noticeChannelId);
+  assert.deepEqual(escalationChannel.accessorIDs, sandbox.state.groups["sandbox-ops"]);
+});
+
+test("viewers can browse but not change messages", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const created = await admin("POST", "/api/users", { username: "viewer1", password: "viewer-password", role: "viewer" });
+  assert.equal(created.status, 201);
+
+  const viewer = await signIn("viewer1", "viewer-password");
+  assert.equal((await viewer("GET", "/api/items")).status, 200);
+  assert.equal((await viewer("POST", "/api/create", { title: "Nope", storeIds: ["10001"] })).status, 403);
+  assert.equal((await viewer("GET", "/api/audit")).status, 403);
+});
+
+test("archiving hides a message and deleting removes it from Staffbase", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Short lived", storeIds: ["10004"] });
+  const channelId = job.result.channelId;
+  const [store] = await listsOf(channelId, admin);
+  const visible = async () => (await admin("GET", "/api/items?q=short")).data.total;
+
+  assert.equal((await admin("POST", `/api/items/${channelId}/archive`)).status, 200);
+  assert.equal(await visible(), 0);
+  assert.equal((await admin("POST", `/api/items/${channelId}/restore`)).status, 200);
+  assert.equal(await visible(), 1);
+
+  const deleted = await admin("DELETE", `/api/delete/${channelId}`);
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.data));
+  assert.equal(deleted.data.taskListsRemoved, 1);
+  assert.equal(sandbox.state.installations.some(i => i.id === channelId), false);
+  assert.equal(sandbox.state.lists.some(l => l.id === store.listId), false);
+  assert.equal(await visible(), 0);
+
+  const project = sandbox.state.installations.find(i => i.pluginID === "tasks");
+  assert.equal((await admin("DELETE", `/api/delete/${project.id}`)).status, 403, "store projects are never deleted");
+});
+
+test("messages created before the channel marker can still be deleted", async () => {
+  const admin = await signIn("admin", "admin-password");
+  // The original tool used the creation time as externalID and kept no record
+  sandbox.state.installations.push({ id: "legacy-1", pluginID: "news", externalID: "1700000000000", config: { localization: { en_US: { title: "Operations - 2023-11-14" } } }, accessorIDs: [] });
+  sandbox.state.installations.push({ id: "foreign-1", pluginID: "news", externalID: "other", config: { localization: { en_US: { title: "Someone else's" } } }, accessorIDs: [] });
+
+  assert.equal((await admin("DELETE", "/api/delete/foreign-1")).status, 403);
+  const deleted = await admin("DELETE", "/api/delete/legacy-1");
+  assert.equal(deleted.status, 200, JSON.stringify(deleted.data));
+  assert.equal(sandbox.state.installations.some(i => i.id === "legacy-1"), false);
+});
+
+test("messages created before the channel marker are listed after a refresh", async () => {
+  const admin = await signIn("admin", "admin-password");
+  sandbox.state.installations.push({ id: "legacy-2", pluginID: "news", externalID: "1700000000001", config: { localization: { en_US: { title: "Operations - 2023-11-15" } } }, accessorIDs: [storeUserId("10002")] });
+
+  assert.equal((await admin("POST", "/api/items/refresh")).status, 200);
+  const list = await admin("GET", "/api/items?q=2023-11-15");
+  assert.equal(list.data.total, 1);
+  assert.equal(list.data.items[0].channelId, "legacy-2");
+  assert.deepEqual(list.data.items[0].storeIds, ["10002"]);
+  assert.equal((await admin("GET", "/api/items?q=someone")).data.total, 0, "foreign channels stay out");
+});
+
+test("only portal channels can be published", async () => {
+  const admin = await signIn("admin", "admin-password");
+  sandbox.state.installations.push(
+    { id: "foreign-2", pluginID: "news", externalID: "other", config: { localization: { en_US: { title: "Not ours" } } }, accessorIDs: [] },
+    { id: "legacy-3", pluginID: "news", externalID: "1700000000002", config: { localization: { en_US: { title: "Old one" } } }, accessorIDs: [] });
+  sandbox.state.posts.push({ id: "foreign-post", channelId: "foreign-2", contents: { en_US: { title: "Not ours" } } },
+    { id: "legacy-post", channelId: "legacy-3", contents: { en_US: { title: "Old one" } } });
+
+  const foreign = await admin("POST", "/api/items/foreign-2/publish", { publishMode: "now" });
+  assert.equal(foreign.status, 403);
+  assert.equal(sandbox.state.posts.find(p => p.id === "foreign-post").published, undefined);
+
+  const legacy = await admin("POST", "/api/items/legacy-3/publish", { publishMode: "now" });
+  assert.equal(legacy.status, 200, JSON.stringify(legacy.data));
+  assert.equal(legacy.data.postId, "legacy-post");
+});
+
+test("a message can't be archived while a rollout for it is running", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const job = await createMessage(admin, { title: "Busy", storeIds: ["10003"] });
+  const channelId = job.result.channelId;
+
+  // Hold the edit on its first call so it is still running
+  sandbox.failNext({ match: `PUT /installations/${channelId}`, status: 429 });
+  const edit = await admin("PATCH", `/api/messages/${channelId}`, { title: "Busy (edited)" });
+  assert.equal(edit.status, 202, JSON.stringify(edit.data));
+  assert.equal((await admin("POST", `/api/items/${channelId}/archive`)).status, 409);
+
+  await waitForJob(admin, edit.data.jobId);
+  assert.equal((await admin("POST", `/api/items/${channelId}/archive`)).status, 200);
+  assert.ok((await admin("GET", `/api/messages/${channelId}`)).data.archived);
+});
+
+test("with auto-provisioning a rollout creates the missing store projects", async () => {
+  const admin = await signIn("admin", "admin-password");
+  assert.equal((await admin("PUT", "/api/store-projects", { autoProvision: true })).status, 200);
+
+  const preview = await admin("POST", "/api/create", { title: "Provisioned", department: "Operations", manualTasks: JSON.stringify([{ title: "Count stock" }]), storeIds: ["10006"], dryRun: true });
+  assert.equal(preview.data.preview.autoProvision, true);
+  assert.deepEqual(preview.data.preview.storesWithoutTasks.map(s => s.storeId), ["10006"]);
+
+  const job = await createMessage(admin, { title: "Provisioned", storeIds: ["10006"] });
+  assert.deepEqual(job.result.stores, { total: 1, done: 1, failed: 0, skipped: 0 });
+  const project = sandbox.state.installations.find(i => i.config?.localization?.en_US?.title === "Store #10006");
+  assert.equal(project.pluginID, "tasks");
+  assert.deepEqual(project.accessorIDs, [storeUserId("10006")]);
+  const [store] = await listsOf(job.result.channelId, admin);
+  assert.equal(sandboxTasks(store.listId).length, 2);
+
+  const audit = await admin("GET", "/api/audit?action=provision");
+  assert.deepEqual(audit.data.entries[0].storeIds, ["10006"]);
+  await admin("PUT", "/api/store-projects", { autoProvision: false });
+});
+
+test("admins see unmatched and duplicate store projects and can map or create them", async () => {
+  const admin = await signIn("admin", "admin-password");
+  const titled = (title) => sandbox.state.installations.find(i => i.config?.localization?.en_US?.title === title);
+  sandbox.state.installations.splice(sandbox.state.installations.indexOf(titled("Store #10005")), 1);
+  sandbox.state.installations.push({ id: "extra-project", pluginID: "tasks", config: { localization: { en_US: { title: "Store 10002" } } }, accessorIDs: [] });
+
+  const report = (await admin("GET", "/api/store-projects")).data;
+  const status = (r) => Object.fromEntries(r.stores.map(s => [s.storeId, s.status]));
+  assert.deepEqual(report.counts, { total: 6, matched: 4, unmatched: 1, duplicate: 1 });
+  assert.equal(status(report)["10005"], "unmatched");
+  assert.deepEqual(report.stores.find(s => s.storeId === "10002").duplicates, [{ id: "extra-project", title: "Store 10002" }]);
+
+  // A custom pattern matches other titles; an explicit mapping wins over both
+  sandbox.state.installations.push({ id: "filiale-3", pluginID: "tasks", config: { localization: { en_US: { title: "Filiale 10003" } } }, accessorIDs: [] });
+  const custom = await admin("PUT", "/api/store-projects", { pattern: "Filiale {storeId}", mappings: { "10001": "extra-project" } });
+  assert.equal(custom.status, 200, JSON.stringify(custom.data));
+  assert.deepEqual(status(custom.data), { 10001: "matched", 10002: "unmatched", 10003: "matched", 10004: "unmatched", 10005: "unmatched", 10006: "unmatched" });
+  assert.equal(custom.data.stores[0].source, "mapping");
+
+  assert.equal((await admin("PUT", "/api/store-projects", { pattern: "Filiale" })).status, 400);
+  assert.equal((await admin("PUT", "/api/store-projects", { mappings: { "10001": "no-such-project" } })).status, 400);
+  const viewer = await signIn("viewer1", "viewer-password");
+  assert.equal((await viewer("PUT", "/api/store-projects", { autoProvision: true })).status, 403);
+  await admin("PUT", "/api/store-projects", { pattern: "", mappings: {} });
+
+  const provisioned = await admin("POST", "/api/store-projects/provision", { storeIds: ["10005", "10001"] });
+  assert.equal(provisioned.status, 200, JSON.stringify(provisioned.data));
+  assert.deepEqual(provisioned.data.created.map(c => c.storeId), ["10005"]);
+  assert.deepEqual(provisioned.data.existing, ["10001"]);
+  assert.deepEqual(titled("Store #10005").accessorIDs, [storeUserId("10005")]);
+  assert.equal((await admin("GET", "/api/store-projects")).data.counts.unmatched, 0);
+});